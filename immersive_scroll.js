@@ -4,14 +4,28 @@
  * A p5.js sketch that creates a reactive background animation that transitions through
  * different environmental zones based on scroll position:
  * 
- * 1. Space (0-2%): Stars, meteorites, rocket, satellite
+ * 1. Space (0-2%): Stars, named constellations, moon and planets, meteorites, rocket, satellites
  * 2. Aurora (2-12%): Northern lights with L-system generation, enhanced stars
  * 3. Sky (12-52%): Blue sky with clouds and birds
- * 4. Sunset (62-85%): Warm sunset colors with sun setting, ocean waves
+ * 4. Sunset (62-85%): Warm sunset colors with sun setting, evening moon and planets, ocean waves
  * 5. Deep Sea (85-100%): Underwater scene with bubbles, fish, jellyfish, coral, seaweed
  * 
+ * The boundaries, easing and draw order of the zones are declared in `zoneTimeline`.
+ * Sections marked with `data-zone="<name>"` anchor their zone to the page layout, so a
+ * zone reaches full strength when its section arrives in view, however long the page grows.
  * Each zone has unique visual elements and smooth color transitions between zones.
  * The animation responds to scroll position to create an immersive storytelling experience.
+ * 
+ * Other scripts can drive the scene through `window.MunchkinScene` (see the control API
+ * at the bottom of the sketch) instead of faking scroll events, and follow it through the
+ * `zonechange` / `zoneprogress` events dispatched on `document`.
+ * 
+ * The page (window) scroll drives the journey by default. `MunchkinSettings.scrollSource` or
+ * `MunchkinScene.setScrollSource()` can point it at a scrolling element, the horizontal axis
+ * or a custom progress function instead (see resolveScrollSource).
+ * 
+ * With `prefers-reduced-motion: reduce` the render loop stops and only the static zone
+ * gradient is drawn, repainted as the page scrolls.
  */
 
 const immersiveScroll = (p) => {
@@ -29,40 +43,44 @@ const immersiveScroll = (p) => {
   // Animation elements
   let stars = [];
   let auroraStars = [];
-  let meteorites = [];
+  const auroraStarBurnRate = 30; // Aurora star lifespan units burnt per second
+  let meteorites = []; // Fixed pool of meteors (see the meteor events below)
   let clouds = [];
   let bubbles = [];
   let fishes = [];
   let jellyfish = []; 
   let seaPlants = []; // New element: coral and seaweed
+  let nightStars = []; // Sky zone stars, only out at night in real-time clock mode
   let sun = { x: 0, y: 0, size: 100, startX: 0, startY: 0, endX: 0 };
-  let rocket = { 
-    startX: 0, 
-    startY: 0, 
-    x: 0, 
-    y: 0, 
-    prevX: 0,
-    prevY: 0,
-    angle: 0,
-    trail: []
-  };
-  let satellite = {
-    startX: 0,
-    startY: 0,
+  // Rocket: stands on a launch pad at the bottom of the hero and flies as the page scrolls.
+  // Its position is a function of the flight progress, so scrolling back flies it back
+  let rocket = {
+    padX: 0,
+    padY: 0,        // Top of the launch pad deck
+    scale: 2.6,     // Size multiplier (smaller on short screens)
     x: 0,
     y: 0,
-    prevX: 0,
-    prevY: 0,
-    angle: 0
+    angle: 0,
+    progress: 0,    // Flight progress of the previous frame (0-1)
+    thrust: 0,      // Eased engine power (0-1), follows how fast the flight is scrubbed
+    completed: false, // Flew off screen: the pad stays empty until the visitor is back at the top
+    rollout: 1,     // Relaunch animation of the next rocket rising onto the pad (0-1)
+    smokeRelease: 0, // Smoke particles owed to the pad (fractional emission)
+    design: 'classic',
+    cycleDesigns: false // ?rocket=cycle: every relaunch rolls out the next design
   };
+  let rocketSmoke = []; // Fixed pool of ignition smoke puffs
+  let satellites = []; // Satellites and space stations on elliptical orbits (see buildSatellites)
   let waves = { y: 0, waveOffset: 0 };
   
   // Aurora L-system and animation
   let auroraSentence = [{ symbol: "A", weight: 2 }];
   let yPosNoiseOffset = 0;
-  let maxWaveHeight = 7;
+  const baseWaveHeight = 7;
+  let maxWaveHeight = baseWaveHeight; // Swells with the bass in audio-reactive mode
   const noiseScale = 0.1;
-  let auroraIntervalID = null;
+  const auroraStepInterval = 2; // Seconds between L-system steps (scene clock, only while the aurora is drawn)
+  let auroraStepTimer = 0;
   
   // Aurora L-system rules
   const auroraRules = {
@@ -75,16 +93,310 @@ const immersiveScroll = (p) => {
     ]
   };
   
+  /**
+   * Zone timeline (scroll progress 0 to 1).
+   * Each zone is fully active between `start` and `end` and fades in over `blend`
+   * before `start`, cross-fading with the previous zone using the named `easing`.
+   * `layer` sets the draw order and `minWeight` the weight below which a zone is skipped.
+   */
+  const zoneTimeline = [
+    { name: 'space',   start: 0,    end: 0.02, blend: 0,    easing: 'linear',      layer: 0, minWeight: 0.1 },
+    { name: 'aurora',  start: 0.12, end: 0.12, blend: 0.1,  easing: 'linear',      layer: 2, minWeight: 0.1 },
+    { name: 'sky',     start: 0.52, end: 0.62, blend: 0.4,  easing: 'linear',      layer: 5, minWeight: 0.1 },
+    { name: 'sunset',  start: 0.85, end: 0.85, blend: 0.23, easing: 'easeOutSine', layer: 4, minWeight: 0.01 },
+    { name: 'deepSea', start: 1,    end: 1,    blend: 0.15, easing: 'easeOutSine', layer: 6, minWeight: 0.1 }
+  ];
+  
+  // Props drawn independently of zone weights (to avoid blinking), interleaved by layer
+  const sceneProps = [
+    { name: 'rocket', start: 0,    end: 0.05, layer: 1 },
+    { name: 'sun',    start: 0.45, end: 0.82, layer: 3, horizonStart: 0.55 },
+    { name: 'weather', layer: 5.5 } // Over the sky and sunset zones, faded by their weights
+  ];
+  
+  // Easing curves available to the zone timeline (t in 0-1)
+  const zoneEasings = {
+    linear: (t) => t,
+    easeInSine: (t) => 1 - Math.cos(t * Math.PI / 2),
+    easeOutSine: (t) => Math.sin(t * Math.PI / 2),
+    easeInOutSine: (t) => (1 - Math.cos(t * Math.PI)) / 2
+  };
+  
+  const zoneRenderers = {
+    space: drawSpaceElements,
+    aurora: drawAuroraElements,
+    sky: drawSkyElements,
+    sunset: drawSunsetElements,
+    deepSea: drawDeepSeaElements
+  };
+  const propRenderers = {
+    rocket: drawRocket,
+    sun: drawSun,
+    weather: drawWeather
+  };
+  const renderOrder = [...zoneTimeline, ...sceneProps].sort((a, b) => a.layer - b.layer);
+  const rocketTiming = sceneProps.find(prop => prop.name === 'rocket');
+  const rocketLiftoffEnd = 0.2;     // Flight progress of the vertical climb off the pad
+  const stageSeparationAt = 0.55;   // Flight progress at which the booster drops away
+  const rocketRolloutTime = 1.5;    // Seconds for a relaunched rocket to rise onto the pad
+  const fullThrustSpeed = 0.5;      // Flight progress per second that gives the full exhaust
+  const rocketSmokeLife = [2.5, 4]; // Seconds a smoke puff lingers
+  
+  // Rocket designs (?rocket=<name>, MunchkinSettings.rocket or MunchkinScene.setRocketDesign()).
+  // Colours are [r, g, b]; finScale sizes the wings
+  const rocketDesigns = {
+    classic: {
+      hull: [250, 250, 255], band: [200, 200, 210], highlight: [255, 255, 255], outline: [200, 200, 210],
+      nose: [255, 255, 255], noseTip: [220, 220, 230], engine: [180, 180, 190], panel: [150, 150, 160],
+      window: [150, 200, 255], wings: [240, 240, 250], booster: [235, 235, 242], finScale: 1
+    },
+    retro: {
+      hull: [235, 75, 65], band: [255, 245, 235], highlight: [250, 120, 105], outline: [170, 45, 40],
+      nose: [255, 245, 235], noseTip: [235, 75, 65], engine: [95, 95, 105], panel: [170, 45, 40],
+      window: [255, 225, 140], wings: [235, 75, 65], booster: [255, 245, 235], finScale: 1.4
+    },
+    midnight: {
+      hull: [60, 66, 88], band: [210, 170, 80], highlight: [92, 98, 124], outline: [35, 38, 52],
+      nose: [210, 170, 80], noseTip: [240, 205, 120], engine: [42, 44, 56], panel: [35, 38, 52],
+      window: [120, 220, 255], wings: [210, 170, 80], booster: [72, 78, 100], finScale: 1.15
+    }
+  };
+  const sunTiming = sceneProps.find(prop => prop.name === 'sun');
+  
   // Scroll tracking
-  let scrollProgress = 0;
+  let scrollProgress = 0; // Timeline progress (raw scroll warped by the section anchors)
   let maxScroll = 0;
+  
+  // Scroll source (see resolveScrollSource): the window by default, or a scrolling element on
+  // either axis, or a custom progress function. Set through MunchkinSettings.scrollSource or
+  // MunchkinScene.setScrollSource()
+  let scrollSource = null; // { element, axis, progress } (resolved in setup, unless the API set one first)
+  const progressSourceLength = 6; // Viewports a progress function's journey counts as (scroll velocity)
+  
+  // Document height tracking (see watchDocumentHeight): the scroll range follows content that
+  // grows or collapses, and the progress jump a new range would cause is eased out instead
+  let layoutObservers = [];
+  let scrollRangePending = false;
+  let sectionsChanged = false;
+  let progressRemapOffset = 0; // Timeline progress still to ease out after a range change
+  const progressRemapEasing = 3; // Approach rate per second
+  
+  // Section anchors: [data-zone] elements pin their zone's start to the scroll position
+  // where the section's top edge crosses this fraction of the viewport height
+  const anchorViewportRatio = 0.5;
+  let anchorSections = [];
+  let zoneAnchors = []; // Sorted keyframes { raw, progress } mapping raw scroll to timeline progress
   let lastScrollUpdate = 0;
   const scrollThrottle = 16;
+  let progressOverride = null; // Set through MunchkinScene.setProgress() to bypass scrolling
+  
+  // Smoothed scroll velocity, handed to every draw function
+  // velocity: signed, in viewport heights per second (positive = scrolling down)
+  // speed: |velocity| normalized to 0-1 (1 at fullSpeedVelocity and above)
+  const scrollMotion = { velocity: 0, speed: 0 };
+  const fullSpeedVelocity = 3;  // Viewport heights per second treated as full speed
+  const maxScrollVelocity = 8;  // Clamp for jumps (anchor links, scrollbar drags)
+  const scrollVelocityEasing = 4; // Approach rate per second; the effects ease back at this rate
+  let lastScrollOffset = 0;
+  
+  // Pointer and touch interaction. Tracked on window rather than the canvas, so the canvas
+  // stays behind the page content and every click still reaches it
+  const pointer = { x: 0, y: 0, active: false, held: false, lastMove: -Infinity };
+  const pendingPops = []; // Press positions waiting to pop a bubble (consumed every frame)
+  let bubbleBursts = [];
+  const bubbleBurstLife = 0.45; // Seconds a popped bubble's burst stays visible
+  const fishFleeRadius = 140;   // Fish closer than this to the pointer steer away
+  const fishFleeSpeed = 160;    // px/s push at the pointer itself
+  const jellyAttractRadius = 420; // Jellyfish within this distance drift toward a held touch
+  const constellationRadius = 180; // Stars within this distance of the pointer link up
+  const maxConstellationStars = 7;
+  const constellationLinger = 1.5; // Seconds the lines stay after the pointer stops moving
+  let constellationGlow = 0;
+  
+  // Named constellations of the space zone, drawn on line by line while the space zone is on screen.
+  // stars: [x, y] in a unit box placed at `at` (viewport fractions) and scaled to `size` times the
+  // shorter viewport side; lines: pairs of star indexes. drawn/label: animation state
+  const constellations = [
+    {
+      name: 'Ursa Major',
+      at: [0.06, 0.12], size: 0.26,
+      stars: [[0.05, 0.1], [0.08, 0.38], [0.34, 0.45], [0.36, 0.22], [0.55, 0.2], [0.74, 0.24], [0.98, 0.42]],
+      lines: [[0, 1], [1, 2], [2, 3], [3, 0], [3, 4], [4, 5], [5, 6]]
+    },
+    {
+      name: 'Cassiopeia',
+      at: [0.72, 0.08], size: 0.18,
+      stars: [[0, 0.3], [0.25, 0.6], [0.5, 0.35], [0.75, 0.62], [1, 0.2]],
+      lines: [[0, 1], [1, 2], [2, 3], [3, 4]]
+    },
+    {
+      name: 'Orion',
+      at: [0.8, 0.45], size: 0.3,
+      stars: [[0.45, 0], [0.15, 0.1], [0.75, 0.18], [0.38, 0.5], [0.5, 0.47], [0.62, 0.44], [0.25, 0.92], [0.85, 0.85]],
+      lines: [[0, 1], [0, 2], [1, 3], [2, 5], [3, 4], [4, 5], [3, 6], [5, 7]]
+    },
+    {
+      name: 'The Rocket', // Invented: the constellation of this site
+      at: [0.1, 0.62], size: 0.2,
+      stars: [[0.5, 0], [0.3, 0.35], [0.7, 0.35], [0.3, 0.8], [0.7, 0.8], [0.05, 1], [0.95, 1]],
+      lines: [[0, 1], [0, 2], [1, 3], [2, 4], [3, 4], [3, 5], [4, 6]]
+    }
+  ].map(constellation => Object.assign(constellation, { drawn: 0, label: 0 }));
+  const constellationDrawTime = 6;   // Seconds to draw one constellation
+  const constellationStagger = 0.35; // Delay between constellations (share of the drawing time)
+  const constellationHoverMargin = 40; // px around a constellation that still shows its label
+  let constellationsSeenAt = -Infinity; // Last time the space zone was drawn (the drawing replays after a visit elsewhere)
+  
+  const interactiveSelector = 'a, button, input, textarea, select, label, [role="button"]';
+  
+  // Parallax depth layers, driven by the pointer on desktop and by device tilt on phones
+  // x/y: eased view offset (-1 to 1); each layer shifts by depth * maxParallaxShift pixels
+  const parallax = { x: 0, y: 0 };
+  const maxParallaxShift = 30;  // px, for the nearest layer (depth 1)
+  const parallaxEasing = 3;     // Approach rate per second
+  const maxTiltDegrees = 25;    // Device tilt from the resting pose giving the full shift
+  const parallaxDepths = {
+    stars: 0.15,
+    sun: 0.2,
+    aurora: 0.3,
+    clouds: 0.6,
+    backPlants: 0.5,
+    frontPlants: 1
+  };
+  // Device orientation: tilt relative to the pose of the first reading (re-taken on rotation)
+  const orientation = { active: false, x: 0, y: 0, baseline: null, needsPermission: false };
+  
+  // Last zone state announced to the page (see dispatchZoneEvents)
+  let announcedZone = null;
+  let announcedProgress = -1;
+  
+  // Scene colours published to the page as CSS custom properties (see publishSceneColors)
+  let zonePalette = {}; // Zone name -> { background, accent } (initialized in setup)
+  let publishedColors = {};
+  let lastColorPublish = 0;
+  const colorPublishThrottle = 100;
+  
+  // Real-time clock mode (?time=local, ?time=<date>, MunchkinSettings.time or MunchkinScene.setTime()):
+  // the time of day moves the sun and tints the palette. The sun altitude is approximated from
+  // the local clock for an observer at `latitude` degrees north
+  let timeSource = resolveTimeSource(MunchkinCore.params.get('time') || MunchkinCore.settings.time);
+  const latitude = Number(MunchkinCore.settings.latitude) || 45;
+  // altitude/noonAltitude: sun height in degrees; night, dawn, dusk: 0-1 weights of the time of day
+  const daylight = { active: false, altitude: 90, noonAltitude: 90, night: 0, dawn: 0, dusk: 0 };
+  const daylightInterval = 1; // Seconds between recalculations (the sun moves slowly)
+  let lastDaylightUpdate = -Infinity;
+  let dayPalette = {};     // Daytime colours the tints start from (initialized in setup)
+  let timeOfDayTints = {}; // Night and dawn colours (initialized in setup)
+  
+  // Moon and planets, in the space zone and rising in the sunset zone after the sun goes down.
+  // The moon's phase and every body's elongation (degrees east of the sun) are computed for a
+  // date: ?date=, MunchkinSettings.date or MunchkinScene.setSkyDate(), else the real-time clock
+  // mode's time, else now. Planets follow circular orbits (mean J2000 longitude, radius in AU,
+  // period in days), close enough to put them on the right side of the sun
+  let skyDateSource = resolveTimeSource(MunchkinCore.params.get('date') || MunchkinCore.settings.date);
+  const synodicMonth = 29.530588853;            // Days from new moon to new moon
+  const referenceNewMoon = Date.UTC(2000, 0, 6, 18, 14);
+  const j2000 = Date.UTC(2000, 0, 1, 12);
+  const earthOrbit = { longitude: 100.46, radius: 1, period: 365.256 };
+  const planets = [
+    { name: 'Venus',   longitude: 181.98, radius: 0.723, period: 224.701,  size: 6,   color: [255, 250, 230], elongation: 0 },
+    { name: 'Mars',    longitude: 355.43, radius: 1.524, period: 686.98,   size: 4,   color: [255, 150, 110], elongation: 0 },
+    { name: 'Jupiter', longitude: 34.35,  radius: 5.203, period: 4332.59,  size: 5.5, color: [255, 235, 205], elongation: 0 },
+    { name: 'Saturn',  longitude: 50.08,  radius: 9.537, period: 10759.22, size: 4.5, color: [240, 220, 170], elongation: 0 }
+  ];
+  const moonState = { phase: 0.5, elongation: 180 }; // phase: 0 new, 0.25 first quarter, 0.5 full
+  const sunGlare = 15; // Bodies closer than this many degrees to the sun are lost in its glare
+  let lastSkyUpdate = -Infinity;
+  
+  // Weather (?weather=<preset>, MunchkinSettings.weather or MunchkinScene.setWeather()): particle
+  // pools drawn over the sky and sunset zones. A preset sets a target level (0-1) for each
+  // component and the levels ease toward it, so switching blends the new weather in
+  const weatherPresets = {
+    clear: { rain: 0, snow: 0, fog: 0, lightning: 0, wind: 0 },
+    rain: { rain: 1, snow: 0, fog: 0.25, lightning: 0, wind: 0.25 },
+    snow: { rain: 0, snow: 1, fog: 0.3, lightning: 0, wind: 0.1 },
+    fog: { rain: 0, snow: 0, fog: 1, lightning: 0, wind: 0 },
+    storm: { rain: 1, snow: 0, fog: 0.35, lightning: 1, wind: 1 },
+    windy: { rain: 0, snow: 0, fog: 0, lightning: 0, wind: 1 }
+  };
+  let weatherTarget = weatherPresets[resolveWeather(MunchkinCore.params.get('weather') || MunchkinCore.settings.weather)];
+  const weatherLevels = Object.assign({}, weatherTarget); // Starts settled; later switches blend
+  const weatherEasing = 0.6;  // Approach rate per second (a few seconds to change the weather)
+  const maxWindDrift = 260;   // px/s sideways push at full gust
+  const lightningRate = 0.3;  // Strikes per second at full lightning level
+  const lightningBoltLife = 0.2; // Seconds a bolt stays visible (the flash fades slower)
+  let windGust = 0;           // Current gust strength (0-1)
+  let rainDrops = [];
+  let snowFlakes = [];
+  let fogBanks = [];
+  const lightning = { flash: 0, bolt: null, age: 0 };
+  
+  // Meteor events: lone meteors through quiet periods, now and then a fireball or a shower of
+  // 20-50 meteors from a radiant point. Every meteor comes from the fixed `meteorites` pool, so
+  // a shower allocates nothing. `meteors` (?meteors=, MunchkinSettings.meteors) scales how
+  // often they come: 0 turns them off, 2 doubles them
+  let meteorIntensity = resolveMeteorIntensity(MunchkinCore.params.get('meteors') || MunchkinCore.settings.meteors);
+  const meteorPoolSize = 64;
+  const sporadicMeteorRate = 0.5;  // Lone meteors per second
+  const meteorQuietTime = [15, 40]; // Seconds in the space zone between events
+  const fireballChance = 0.6;      // Share of events that are a single fireball rather than a shower
+  const meteorShowerSize = [20, 50];
+  const meteorShowerDuration = 3;  // Seconds over which a shower releases its meteors
+  const meteorShower = { remaining: 0, rate: 0, release: 0, radiantX: 0, radiantY: 0 };
+  let meteorEventTimer = 0;        // Space-zone seconds left until the next event
+  
+  // Satellites: `satellites` small satellites and `stations` space stations (?satellites=,
+  // ?stations=, or MunchkinSettings.satellites / .stations), each on its own ellipse partly
+  // off screen. Now and then a satellite's panels catch the sun in an Iridium-style flare
+  const maxSatellites = 8;          // Per kind
+  let satelliteCount = resolveSatelliteCount(MunchkinCore.params.get('satellites') || MunchkinCore.settings.satellites, 2);
+  let stationCount = resolveSatelliteCount(MunchkinCore.params.get('stations') || MunchkinCore.settings.stations, 1);
+  const navLightPeriod = 1.4;       // Seconds between navigation light blinks
+  const satelliteFlareTime = [20, 45]; // Space-zone seconds between flares
+  const satelliteFlareDuration = 1.6;  // Seconds a flare takes to brighten and fade
+  let satelliteFlareTimer = 0;
+  
+  // Audio-reactive mode (see MunchkinScene.setAudioSource): frequency bands of a playing
+  // <audio>/<video> element, each 0-1 and smoothed, layered on top of the scroll-driven scene
+  // bass: aurora wave height and sunset swell, mid: jellyfish pulse, high: star twinkle and bubbles
+  const audioBands = { bass: 0, mid: 0, high: 0 };
+  const audioBandRanges = { bass: [20, 250], mid: [250, 2000], high: [2000, 12000] }; // Hz
+  const audioBandEasing = 12; // Approach rate per second (fast enough to follow the beat)
+  let audioAnalysis = null; // { context, analyser, bins, source } while an element is connected
+  const mediaSources = new WeakMap(); // An element can only be wrapped in one media source node
+  const baseBubbleCount = 20;   // Bubbles always rising in the deep sea
+  const audioBubbleReserve = 16; // Extra bubbles released as the highs rise (parked below the screen otherwise)
+  
+  // Animation clock: every speed below is per second, scaled by clock.dt
+  const clock = MunchkinCore.createClock();
+  
+  // Rendering quality tiers (stepped by the MunchkinCore governor, pinned through MunchkinScene.setQuality())
+  // particleScale: share of stars, bubbles, fish and sea plants drawn
+  // trailScale: share of each moving star's trail kept
+  // coralDepth: deepest coral branch level drawn
+  const qualityTiers = {
+    low: { frameRate: 30, pixelDensity: 1, gradientStep: 8, auroraSampleStep: 36, particleScale: 0.5, trailScale: 0.35, coralDepth: 3 },
+    medium: { frameRate: 45, pixelDensity: 1, gradientStep: 6, auroraSampleStep: 28, particleScale: 0.75, trailScale: 0.6, coralDepth: 4 },
+    high: { frameRate: 60, pixelDensity: null, gradientStep: 4, auroraSampleStep: 20, particleScale: 1, trailScale: 1, coralDepth: 5 } // null = display density
+  };
+  let quality = qualityTiers[MunchkinCore.getQuality()];
+  let stopWatchingQuality = null;
+  
+  // Render loop state (see syncLoop): the loop only runs while none of these hold
+  let reducedMotion = MunchkinCore.prefersReducedMotion(); // Static zone gradient instead of the animated scene
+  let pageHidden = MunchkinCore.isPageHidden(); // Tab in the background
+  let paused = false; // Paused through MunchkinScene.pause()
+  let stopWatchingMotion = null;
+  let stopWatchingVisibility = null;
+  let stillRedrawPending = false;
   
   p.setup = () => {
     const canvas = p.createCanvas(p.windowWidth, p.windowHeight);
     canvas.parent("canvas-bg");
-    p.frameRate(60);
+    applyQuality();
+    
+    // Seed random() and noise() so the same seed rebuilds the identical scene
+    MunchkinCore.seedSketch(p, 'immersive-scroll');
 
     // Initialize colors properly within setup
     spaceColor = p.color(0, 0, 0);
@@ -97,8 +409,24 @@ const immersiveScroll = (p) => {
     seaSurfaceColor = p.color(0, 120, 200);
     deepSeaColor = p.color(5, 20, 60);
     
-    // Calculate max scroll (approximate based on content)
-    maxScroll = document.body.scrollHeight - p.windowHeight;
+    // Real-time clock mode tints these daytime colours toward night and dawn
+    dayPalette = { sky: skyColor, sunsetSky: sunsetSkyColor, sunset: sunsetColor, auroraGreen, auroraPurple };
+    timeOfDayTints = {
+      nightSky: p.color(14, 24, 58),
+      nightSunsetSky: p.color(40, 28, 78),
+      nightSunset: p.color(70, 48, 110),
+      duskSky: p.color(255, 160, 130),
+      dawnAurora: p.color(255, 105, 180),
+      dawnAuroraHigh: p.color(255, 175, 120)
+    };
+    
+    // Background and accent each zone lends to the page chrome
+    zonePalette = buildZonePalette();
+    
+    // Scroll source, its range and the sections that anchor zones to the page layout,
+    // kept up to date as the content grows or collapses. A MunchkinScene.setScrollSource()
+    // call made before setup takes precedence over the settings
+    if (!scrollSource) useScrollSource(MunchkinCore.settings.scrollSource, false);
     
     // Reduced star count for better performance
     for (let i = 0; i < 80; i++) {
@@ -108,13 +436,13 @@ const immersiveScroll = (p) => {
         y: p.random(p.height),
         size: p.random(1, 3),
         brightness: p.random(100, 255),
-        twinkleSpeed: p.random(0.01, 0.03), // Slower, smoother breathing
+        twinkleSpeed: p.random(0.6, 1.8), // Slower, smoother breathing (radians/s)
         isMoving: isMoving,
-        speedX: isMoving ? p.random(-0.002, 0.002) : 0, // Very slow movement
-        speedY: isMoving ? p.random(-0.002, 0.002) : 0, // Very slow movement
+        speedX: isMoving ? p.random(-0.12, 0.12) : 0, // Very slow movement (px/s)
+        speedY: isMoving ? p.random(-0.12, 0.12) : 0, // Very slow movement (px/s)
         trail: [], // Trail for moving stars
-        trailDecay: isMoving ? p.random(0.0005, 0.002) : 0, // Very slow decay for extremely long tails
-        maxTrailLength: isMoving ? p.random(200, 300) : 0 // Extremely long trails (200-300 points)
+        trailDecay: isMoving ? p.random(0.03, 0.12) : 0, // Very slow decay for extremely long tails (life/s)
+        maxTrailAge: isMoving ? p.random(3.3, 5) : 0 // Extremely long trails (3.3-5 seconds)
       });
     }
     
@@ -125,23 +453,32 @@ const immersiveScroll = (p) => {
         y: p.random(p.height * 0.6, p.height),
         size: p.random(1, 3),
         brightness: p.random(150, 255),
-        lifespan: p.random(200, 300)
+        lifespan: p.random(200, 300) // Burns down at auroraStarBurnRate per second
       });
     }
     
-    // Initialize meteorites/falling stars
-    for (let i = 0; i < 4; i++) {
+    // Meteor pool (filled in by launchMeteor) and the first quiet period
+    for (let i = 0; i < meteorPoolSize; i++) {
       meteorites.push({
-        x: p.random(p.width * 0.5, p.width * 1.5),
-        y: p.random(-p.height * 0.5, p.height * 0.2),
-        speedX: p.random(-8, -4),
-        speedY: p.random(4, 8),
-        size: p.random(2, 4),
-        brightness: p.random(200, 255),
-        trailLength: p.random(30, 50),
-        angle: p.random(-0.3, 0.3) // Slight angle variation
+        active: false,
+        kind: 'sporadic', // 'sporadic', 'fireball' or 'shower'
+        x: 0,
+        y: 0,
+        speedX: 0, // px/s
+        speedY: 0, // px/s
+        size: 0,
+        brightness: 0,
+        trailLength: 0,
+        trailSeconds: 0, // Trail spans the distance flown in this time
+        life: 0,         // Seconds left before a shower meteor burns out (Infinity: until off screen)
+        maxLife: 0
       });
     }
+    meteorEventTimer = p.random(meteorQuietTime[0], meteorQuietTime[1]);
+    if (meteorIntensity > 0) {
+      launchMeteor('sporadic');
+      launchMeteor('sporadic');
+    }
     
     // Initialize clouds for sky zone - moved higher to stay away from sea
     for (let i = 0; i < 8; i++) {
@@ -149,24 +486,22 @@ const immersiveScroll = (p) => {
         x: p.random(p.width),
         y: p.random(p.height * 0.15, p.height * 0.45),
         size: p.random(80, 150),
-        speed: p.random(0.3, 0.8),
+        speed: p.random(18, 48), // px/s
         opacity: p.random(150, 200)
       });
     }
     
-    // Start aurora L-system generation
-    auroraIntervalID = setInterval(() => {
-      generateAuroraSentence();
-    }, 2000);
-    
-    // Reduced bubble count and opacity for better blending
-    for (let i = 0; i < 20; i++) {
+    // Reduced bubble count and opacity for better blending, plus the audio reserve
+    for (let i = 0; i < baseBubbleCount + audioBubbleReserve; i++) {
+      const size = p.random(8, 30); // Bubble size range for visual variety
+      const reserve = i >= baseBubbleCount;
       bubbles.push({
         x: p.random(p.width),
-        y: p.random(p.height * 0.7, p.height),
-        size: p.random(8, 30), // Bubble size range for visual variety
-        speed: p.random(0.4, 1.2), // Slightly slower for more grace
-        opacity: p.random(40, 90) // Much lower opacity for blending
+        y: reserve ? p.height + size : p.random(p.height * 0.7, p.height),
+        size,
+        speed: p.random(24, 72), // Slightly slower for more grace (px/s)
+        opacity: p.random(40, 90), // Much lower opacity for blending
+        parked: reserve // Reserve bubble waiting below the screen for audio highs
       });
     }
     
@@ -177,10 +512,11 @@ const immersiveScroll = (p) => {
         x: p.random(p.width),
         y: p.random(p.height * 0.7, p.height),
         size: isSlender ? p.random(30, 50) : p.random(20, 40),
-        speed: p.random(0.5, 1.5),
+        speed: p.random(30, 90), // px/s
         direction: p.random([-1, 1]),
         color: p.color(p.random(100, 255), p.random(100, 200), p.random(150, 255)),
-        type: isSlender ? 'slender' : 'basic'
+        type: isSlender ? 'slender' : 'basic',
+        offsetY: 0 // Scatter away from the home depth `y`, easing back to 0
       });
     }
     
@@ -193,7 +529,8 @@ const immersiveScroll = (p) => {
       if (isContactJelly) {
         // Position specifically on the left side, outside the 1000px centered box
         // Assuming 1000px box, we want it in the left margin
-        xPos = p.random(p.width * 0.05, p.constrain((p.width - 1000) / 2 - 100, p.width * 0.05, p.width * 0.15));
+        const lane = contactJellyLane();
+        xPos = p.random(lane.min, lane.max);
       } else {
         xPos = p.random(p.width * 0.05, p.width * 0.4); // Mostly on the left
       }
@@ -202,7 +539,7 @@ const immersiveScroll = (p) => {
         x: xPos,
         y: isContactJelly ? p.random(p.height * 0.5, p.height * 1.2) : p.random(p.height * 0.8, p.height * 1.5), 
         size: isContactJelly ? p.random(130, 160) : (isBig ? p.random(90, 120) : p.random(40, 60)),
-        speed: isContactJelly ? 0.3 : (isBig ? p.random(0.3, 0.5) : p.random(0.4, 0.8)), // Big ones move slower
+        speed: isContactJelly ? 18 : (isBig ? p.random(18, 30) : p.random(24, 48)), // Big ones move slower (px/s)
         offset: p.random(p.TWO_PI), // For pulsing animation
         isContactJelly: isContactJelly,
         // Ethereal colors for better translucency
@@ -281,241 +618,914 @@ const immersiveScroll = (p) => {
         coralSubType: coralSubType,
         color: plantColor,
         swayOffset: p.random(p.TWO_PI),
-        swaySpeed: p.random(0.008, 0.015), 
+        swaySpeed: p.random(0.48, 0.9), // radians/s
         numBlades: Math.floor(p.random(3, 6)), 
         coralStructure: coralStructure
       });
     }
     
-    // Initialize rocket position - starts from lower left
-    rocket.startX = -100; // Start off-screen left
-    rocket.startY = p.height * 0.85; // Lower part of screen
-    rocket.x = rocket.startX;
-    rocket.y = rocket.startY;
-    rocket.prevX = rocket.startX;
-    rocket.prevY = rocket.startY;
-    
-    // Initialize satellite position - starts from right, moves left (slower than rocket)
-    satellite.startX = p.width + 100; // Start off-screen right
-    satellite.startY = p.height * 0.4; // Middle-upper part of screen
-    satellite.x = satellite.startX;
-    satellite.y = satellite.startY;
-    satellite.prevX = satellite.startX;
-    satellite.prevY = satellite.startY;
-    
-    // Initialize sunset sun position - coming from right, setting in middle-ish
-    sun.startX = p.width * 1.2; // Start off-screen right
-    sun.startY = p.height * 0.2; // Start slightly higher
-    sun.endX = p.width * 0.45;    // Target setting position (slightly left of middle)
-    sun.size = p.width * 0.12;
+    // Night stars for the sky zone (real-time clock mode)
+    for (let i = 0; i < 70; i++) {
+      nightStars.push({
+        x: p.random(p.width),
+        y: p.random(p.height * 0.03, p.height * 0.5),
+        size: p.random(1, 2.5),
+        brightness: p.random(120, 255),
+        twinkleSpeed: p.random(0.8, 2) // radians/s
+      });
+    }
+    
+    // Weather particle pools (only the share matching the weather level is drawn)
+    for (let i = 0; i < 240; i++) {
+      rainDrops.push({
+        x: p.random(p.width),
+        y: p.random(p.height),
+        speed: p.random(650, 950), // px/s
+        length: p.random(10, 22)
+      });
+    }
+    for (let i = 0; i < 160; i++) {
+      snowFlakes.push({
+        x: p.random(p.width),
+        y: p.random(p.height),
+        size: p.random(2, 5),
+        speed: p.random(30, 70), // px/s
+        swayOffset: p.random(p.TWO_PI),
+        swaySpeed: p.random(0.5, 1.5) // radians/s
+      });
+    }
+    for (let i = 0; i < 5; i++) {
+      fogBanks.push({
+        x: p.random(p.width),
+        y: p.random(p.height * 0.35, p.height * 0.85),
+        width: p.random(0.6, 1.2) * p.width,
+        height: p.random(80, 160),
+        speed: p.random(6, 18) // px/s
+      });
+    }
+    
+    // Viewport-relative anchors (rocket launch point, sun path, waves)
+    layoutSceneAnchors();
+    
+    // Rocket design and the ignition smoke pool
+    const requestedDesign = MunchkinCore.params.get('rocket') || MunchkinCore.settings.rocket;
+    rocket.cycleDesigns = requestedDesign === 'cycle';
+    if (!rocket.cycleDesigns) rocket.design = resolveRocketDesign(requestedDesign);
+    for (let i = 0; i < 48; i++) {
+      rocketSmoke.push({ active: false, x: 0, y: 0, speedX: 0, speedY: 0, size: 0, life: 0, maxLife: 0 });
+    }
+    
+    // Satellites and stations on their orbits
+    buildSatellites();
+    satelliteFlareTimer = p.random(satelliteFlareTime[0], satelliteFlareTime[1]);
     
-    // Initialize waves position
-    waves.y = p.height * 0.45;
     waves.waveOffset = 0;
+    
+    // Follow the reduced-motion preference, repainting the still gradient on scroll
+    // (the scroll listener is attached to the scroll source in useScrollSource)
+    syncLoop();
+    stopWatchingMotion = MunchkinCore.onReducedMotionChange(applyMotionPreference);
+    
+    // Pointer and touch interaction with the creatures
+    window.addEventListener('pointermove', handlePointerMove, { passive: true });
+    window.addEventListener('pointerdown', handlePointerDown, { passive: true });
+    window.addEventListener('pointerup', handlePointerUp, { passive: true });
+    window.addEventListener('pointercancel', handlePointerUp, { passive: true });
+    window.addEventListener('blur', handlePointerLeave);
+    document.documentElement.addEventListener('pointerleave', handlePointerLeave);
+    window.addEventListener('keydown', handleMeteorKey);
+    
+    // Device tilt drives the parallax on phones (the pointer does elsewhere)
+    watchDeviceOrientation();
+    
+    // Stop rendering while the tab is in the background
+    stopWatchingVisibility = MunchkinCore.onPageVisibilityChange(hidden => {
+      pageHidden = hidden;
+      syncLoop();
+    });
+    
+    // Follow the quality governor
+    stopWatchingQuality = MunchkinCore.onQualityChange(level => {
+      quality = qualityTiers[level];
+      applyQuality();
+    });
   };
   
   /**
    * p5.js draw function. Continuously updates and draws the animation.
    */
   p.draw = () => {
-    // Update scroll progress
+    clock.tick();
+    
+    // Update scroll progress and velocity
     updateScrollProgress();
+    updateScrollVelocity();
+    updateParallax();
+    updateAudioBands();
+    updateDaylight();
+    updateSkyBodies();
+    updateWeather();
     
     // Calculate current zone and transition
     const zone = calculateZone();
+    dispatchZoneEvents(zone);
+    publishSceneColors(zone);
     
     // Draw background with smooth color transitions
     drawBackground(zone);
+    if (reducedMotion) return; // Static zone gradient only
     
-    // Draw zone-specific elements
-    if (zone.space > 0.1) {
-      drawSpaceElements(zone.space);
-    }
-    
-    // Draw rocket independently - not tied to space zone intensity to avoid blinking
-    drawRocket();
-    
-    if (zone.aurora > 0.1) {
-      drawAuroraElements(zone.aurora);
-    }
-    
-    // Draw sun independently - ensure it is drawn BEFORE waves and clouds
-    // to allow for natural layering (behind clouds, under waves)
-    drawSun();
+    // Draw zone elements and props in timeline layer order
+    // (e.g. the sun sits behind the sunset waves and the sky clouds)
+    renderOrder.forEach(entry => {
+      if (propRenderers[entry.name]) {
+        propRenderers[entry.name](scrollMotion, zone);
+      } else if (zone[entry.name] > entry.minWeight) {
+        zoneRenderers[entry.name](zone[entry.name], scrollMotion);
+      }
+    });
+    pendingPops.length = 0; // Presses outside the deep sea pop nothing
     
-    if (zone.sunset > 0.01) {
-      drawSunsetElements(zone.sunset);
+    // Update aurora animation (slower for better performance)
+    yPosNoiseOffset += 0.48 * clock.dt;
+  };
+  
+  /**
+   * Normalizes a scroll source description. Accepts the window (or nothing) for page
+   * scrolling, an element or a selector, { element, axis: 'x' | 'y' }, or a function
+   * (or { progress }) returning the journey position from 0 to 1.
+   * @param {*} source - Scroll source description
+   * @returns {Object} { element: scrolling element or null for the window, axis, progress: function or null }
+   */
+  function resolveScrollSource(source) {
+    if (typeof source === 'function') {
+      source = { progress: source };
+    } else if (typeof source === 'string' || (source && source.nodeType === 1)) {
+      source = { element: source };
+    } else if (!source || source === window) {
+      source = {};
     }
     
-    if (zone.sky > 0.1) {
-      drawSkyElements(zone.sky);
+    let element = typeof source.element === 'string' ? document.querySelector(source.element) : (source.element || null);
+    if (element === window) element = null;
+    if (source.element && source.element !== window && !element) {
+      console.warn(`MunchkinScene: scroll container "${source.element}" not found, following the window`);
     }
+    return {
+      element,
+      axis: source.axis === 'x' ? 'x' : 'y',
+      progress: typeof source.progress === 'function' ? source.progress : null
+    };
+  }
+  
+  /**
+   * Switches the scroll source: moves the scroll listener and the height observers over
+   * and re-measures the range.
+   * @param {*} source - Scroll source description (see resolveScrollSource)
+   * @param {boolean} glide - Ease from the current progress to the new source's position
+   */
+  function useScrollSource(source, glide) {
+    const previousProgress = scrollProgress;
+    if (scrollSource) releaseScrollSource();
+    scrollSource = resolveScrollSource(source);
     
-    if (zone.deepSea > 0.1) {
-      drawDeepSeaElements(zone.deepSea);
-    }
+    scrollEventTarget().addEventListener('scroll', redrawStillScene, { passive: true });
+    maxScroll = 0; // Range of the previous source is meaningless here (no remap glide)
+    measureScrollRange(true);
+    watchDocumentHeight();
+    lastScrollOffset = scrollOffset();
     
-    // Update aurora animation (slower for better performance)
-    yPosNoiseOffset += 0.008;
-  };
+    progressRemapOffset = glide && p.isLooping() ? previousProgress - timelineProgressAt(lastScrollOffset) : 0;
+  }
+  
+  /**
+   * Detaches the scroll listener and the height observers from the current scroll source.
+   */
+  function releaseScrollSource() {
+    scrollEventTarget().removeEventListener('scroll', redrawStillScene);
+    layoutObservers.forEach(observer => observer.disconnect());
+    layoutObservers = [];
+  }
+  
+  /**
+   * Object dispatching the source's scroll events.
+   * @returns {EventTarget} The scrolling element, or window
+   */
+  function scrollEventTarget() {
+    return scrollSource.element || window;
+  }
+  
+  /**
+   * Current scroll offset of the source along its axis. Progress functions are mapped onto
+   * a virtual range (see measureScrollRange), so velocity and remapping work the same way.
+   * @returns {number} Offset in pixels
+   */
+  function scrollOffset() {
+    const { element, axis, progress } = scrollSource;
+    if (progress) return p.constrain(Number(progress()) || 0, 0, 1) * maxScroll;
+    if (element) return axis === 'x' ? element.scrollLeft : element.scrollTop;
+    return axis === 'x' ? (window.scrollX || window.pageXOffset || 0) : (window.scrollY || window.pageYOffset || 0);
+  }
+  
+  /**
+   * Visible length of the source along its axis.
+   * @returns {number} Length in pixels
+   */
+  function viewportLength() {
+    const { element, axis } = scrollSource;
+    if (element) return axis === 'x' ? element.clientWidth : element.clientHeight;
+    return axis === 'x' ? p.windowWidth : p.windowHeight;
+  }
+  
+  /**
+   * Full content length of the source along its axis.
+   * @returns {number} Length in pixels
+   */
+  function contentLength() {
+    const { element, axis, progress } = scrollSource;
+    if (progress) return viewportLength() * (progressSourceLength + 1);
+    if (element) return axis === 'x' ? element.scrollWidth : element.scrollHeight;
+    return axis === 'x'
+      ? Math.max(document.body.scrollWidth, document.documentElement.scrollWidth)
+      : Math.max(document.body.scrollHeight, document.documentElement.scrollHeight);
+  }
+  
+  /**
+   * Position of an element's leading edge within the source's scrolled content.
+   * @param {Element} element - Element inside the scroll source
+   * @param {number} currentScroll - Current scroll offset of the source (px)
+   * @returns {number} Offset in pixels from the start of the content
+   */
+  function contentPosition(element, currentScroll) {
+    const leadingEdge = rect => (scrollSource.axis === 'x' ? rect.left : rect.top);
+    const origin = scrollSource.element ? leadingEdge(scrollSource.element.getBoundingClientRect()) : 0;
+    return leadingEdge(element.getBoundingClientRect()) - origin + currentScroll;
+  }
   
   /**
-   * Updates scroll progress based on window scroll position.
-   * Optimized: throttle maxScroll calculation.
+   * Updates scroll progress based on the scroll source position.
+   * The scroll range comes from the document height observers; browsers without them
+   * fall back to a throttled re-measure here.
    */
   function updateScrollProgress() {
-    const currentScroll = window.scrollY || window.pageYOffset || 0;
+    if (progressOverride !== null) {
+      scrollProgress = progressOverride;
+      return;
+    }
+    
+    const currentScroll = scrollOffset();
     const now = Date.now();
     
-    // Throttle maxScroll calculation (only update occasionally)
-    if (now - lastScrollUpdate > scrollThrottle) {
-      maxScroll = Math.max(maxScroll, document.body.scrollHeight - p.windowHeight);
+    if (layoutObservers.length === 0 && now - lastScrollUpdate > scrollThrottle) {
+      measureScrollRange(false);
       lastScrollUpdate = now;
     }
     
-    scrollProgress = p.constrain(currentScroll / Math.max(maxScroll, 1), 0, 1);
+    // Ease out the jump left by a scroll range change
+    progressRemapOffset = p.isLooping() ? p.lerp(progressRemapOffset, 0, clock.damp(progressRemapEasing)) : 0;
+    if (Math.abs(progressRemapOffset) < 0.0001) progressRemapOffset = 0;
+    
+    scrollProgress = p.constrain(timelineProgressAt(currentScroll) + progressRemapOffset, 0, 1);
   }
   
   /**
-   * Calculates which zone is currently active based on scroll progress.
-   * @returns {Object} Zone weights (space, aurora, sky, seaSurface, deepSea)
+   * Timeline progress of a scroll offset with the current range and section anchors.
+   * @param {number} scrollOffset - Window scroll offset (px)
+   * @returns {number} Timeline progress (0-1)
    */
-  function calculateZone() {
-    // Define zone boundaries (0 to 1 scroll progress)
-    const spaceEnd = 0.02;       // Space: 0% - 2%
-    const auroraEnd = 0.12;      // Aurora: 2% - 12% (ended earlier for portfolio in blue sky)
-    const skyFull = 0.52;        // Sky fully blue later at 52%
-    const sunsetStart = 0.62;    // Sunset starts later at 62%
-    const sunsetEnd = 0.85;      // Sea surface level at 85%
-    // Deep Sea: 85% - 100%
-    
-    let space = 0;
-    let aurora = 0;
-    let sky = 0;
-    let sunset = 0;
-    let deepSea = 0;
-    
-    if (scrollProgress < spaceEnd) {
-      space = 1 - (scrollProgress / spaceEnd);
-    } else if (scrollProgress < auroraEnd) {
-      const localProgress = (scrollProgress - spaceEnd) / (auroraEnd - spaceEnd);
-      space = 1 - localProgress;
-      aurora = localProgress;
-    } else if (scrollProgress < skyFull) {
-      const localProgress = (scrollProgress - auroraEnd) / (skyFull - auroraEnd);
-      aurora = 1 - localProgress;
-      sky = localProgress;
-    } else if (scrollProgress < sunsetStart) {
-      sky = 1.0;
-    } else if (scrollProgress < sunsetEnd) {
-      // Use a smooth easing for the sky -> sunset transition
-      const t = (scrollProgress - sunsetStart) / (sunsetEnd - sunsetStart);
-      const easedT = p.cos((1 - t) * p.HALF_PI); // Smooth out the start and end of transition
-      sky = 1 - easedT;
-      sunset = easedT;
-    } else {
-      const t = (scrollProgress - sunsetEnd) / (1 - sunsetEnd);
-      const easedT = p.sin(t * p.HALF_PI);
-      sunset = 1 - easedT;
-      deepSea = easedT;
+  function timelineProgressAt(scrollOffset) {
+    return anchoredProgress(p.constrain(scrollOffset / Math.max(maxScroll, 1), 0, 1));
+  }
+  
+  /**
+   * Re-measures the scrollable length (up or down) and the section anchors. The progress
+   * difference at the current scroll position is carried over into progressRemapOffset,
+   * so the scene glides to its new place rather than jumping.
+   * @param {boolean} refreshSections - Also re-query the [data-zone] sections (nodes were added or removed)
+   */
+  function measureScrollRange(refreshSections) {
+    const currentScroll = scrollSource.progress ? 0 : scrollOffset();
+    const previousProgress = maxScroll > 0 && !scrollSource.progress ? timelineProgressAt(currentScroll) : null;
+    
+    if (refreshSections) {
+      // Progress functions map straight onto the timeline, without section anchors
+      anchorSections = scrollSource.progress ? [] : Array.from((scrollSource.element || document).querySelectorAll('[data-zone]'));
     }
+    maxScroll = Math.max(contentLength() - viewportLength(), 0);
+    updateZoneAnchors(currentScroll);
     
-    return { space, aurora, sky, sunset, deepSea };
+    if (previousProgress !== null && progressOverride === null) {
+      progressRemapOffset += previousProgress - timelineProgressAt(currentScroll);
+    }
   }
   
   /**
-   * Draws the background with smooth color transitions between zones.
-   * Optimized to reduce drawing calls.
-   * @param {Object} zone - Zone weights
+   * Re-measures the scroll range whenever the content changes size (fonts loading, cards
+   * reflowing) or sections are added or removed. Batched to one measure per frame.
+   * A scrolling element is watched through its own box and its direct children. Mutations
+   * only count when they add or remove sections, so text changes (the rotating hero text)
+   * leave the range alone; their layout effects reach the ResizeObserver.
    */
-  function drawBackground(zone) {
-    // Gradient backgrounds for more natural atmosphere (Aurora and Sunset)
-    if (zone.aurora > 0.1 || zone.sunset > 0.05) {
-      const gradientStep = 4; // Higher step for performance during sunset
-      for (let y = 0; y < p.height; y += gradientStep) {
-        const lerpRatio = p.map(y, 0, p.height, 0, 1);
-        let gradientColor;
-        
-        if (zone.aurora > 0.1) {
-          // Aurora Gradient
-          gradientColor = p.lerpColor(spaceColor, polarNightColor, lerpRatio);
-          if (zone.space > 0) gradientColor = p.lerpColor(spaceColor, gradientColor, zone.aurora);
-          if (zone.sky > 0) {
-            const skyLerp = p.lerpColor(polarNightColor, skyColor, zone.sky);
-            gradientColor = p.lerpColor(gradientColor, skyLerp, zone.sky);
-          }
-        } else {
-          // Sunset Gradient: Top stays blue-ish longer, bottom turns orange/pink
-          // This creates a much more "natural" sky atmosphere
-          const topColor = p.lerpColor(skyColor, sunsetSkyColor, zone.sunset * 0.6);
-          const bottomColor = p.lerpColor(skyColor, sunsetColor, zone.sunset);
-          
-          gradientColor = p.lerpColor(topColor, bottomColor, lerpRatio);
-          
-          // Blend into Deep Sea if active
-          if (zone.deepSea > 0) {
-            gradientColor = p.lerpColor(gradientColor, deepSeaColor, zone.deepSea);
-          }
+  function watchDocumentHeight() {
+    if (scrollSource.progress) return; // Virtual range, only follows the viewport (windowResized)
+    const container = scrollSource.element || document.body;
+    if (window.ResizeObserver) {
+      const resizeObserver = new ResizeObserver(() => scheduleScrollRangeMeasure(false));
+      resizeObserver.observe(container);
+      if (scrollSource.element) {
+        Array.from(container.children).forEach(child => resizeObserver.observe(child));
+      }
+      layoutObservers.push(resizeObserver);
+    }
+    if (window.MutationObserver) {
+      const mutationObserver = new MutationObserver(mutations => {
+        if (mutations.some(mutation => containsSection(mutation.addedNodes) || containsSection(mutation.removedNodes))) {
+          scheduleScrollRangeMeasure(true);
         }
-        
-        p.stroke(gradientColor);
-        p.strokeWeight(gradientStep);
-        p.line(0, y, p.width, y);
+      });
+      mutationObserver.observe(container, { childList: true, subtree: true });
+      layoutObservers.push(mutationObserver);
+    }
+    if (document.fonts && document.fonts.ready) {
+      document.fonts.ready.then(() => scheduleScrollRangeMeasure(false));
+    }
+  }
+  
+  /**
+   * Whether any of the nodes is, or contains, a zone section.
+   * @param {NodeList} nodes - Nodes added or removed by a mutation
+   * @returns {boolean} True if the zone sections need to be re-queried
+   */
+  function containsSection(nodes) {
+    return Array.from(nodes).some(node => node.nodeType === Node.ELEMENT_NODE &&
+      (node.matches('[data-zone], section') || !!node.querySelector('[data-zone], section')));
+  }
+  
+  /**
+   * Queues a scroll range measure for the next animation frame.
+   * @param {boolean} refreshSections - Also re-query the [data-zone] sections
+   */
+  function scheduleScrollRangeMeasure(refreshSections) {
+    sectionsChanged = sectionsChanged || refreshSections;
+    if (scrollRangePending) return;
+    scrollRangePending = true;
+    window.requestAnimationFrame(() => {
+      scrollRangePending = false;
+      measureScrollRange(sectionsChanged);
+      sectionsChanged = false;
+      if (reducedMotion) p.redraw();
+    });
+  }
+  
+  /**
+   * Updates the smoothed scroll velocity (see scrollMotion) from the scroll source position.
+   * Eases toward the measured velocity, so effects build up while scrolling and settle after.
+   */
+  function updateScrollVelocity() {
+    const currentScroll = scrollOffset();
+    if (clock.dt > 0) {
+      const measured = p.constrain((currentScroll - lastScrollOffset) / Math.max(viewportLength(), 1) / clock.dt, -maxScrollVelocity, maxScrollVelocity);
+      scrollMotion.velocity = p.lerp(scrollMotion.velocity, measured, clock.damp(scrollVelocityEasing));
+      scrollMotion.speed = p.constrain(Math.abs(scrollMotion.velocity) / fullSpeedVelocity, 0, 1);
+    }
+    lastScrollOffset = currentScroll;
+  }
+  
+  /**
+   * Eases the parallax view offset toward the device tilt, else the pointer, else the centre.
+   */
+  function updateParallax() {
+    let targetX = 0;
+    let targetY = 0;
+    if (orientation.active) {
+      targetX = orientation.x;
+      targetY = orientation.y;
+    } else if (pointer.active) {
+      targetX = p.constrain(pointer.x / p.width * 2 - 1, -1, 1);
+      targetY = p.constrain(pointer.y / p.height * 2 - 1, -1, 1);
+    }
+    const ease = clock.damp(parallaxEasing);
+    parallax.x = p.lerp(parallax.x, targetX, ease);
+    parallax.y = p.lerp(parallax.y, targetY, ease);
+  }
+  
+  /**
+   * Normalizes a real-time clock mode setting into a function returning the Date to show.
+   * @param {*} value - 'local' (the visitor's clock), a Date, a date string, a function
+   *   returning a Date, or null/undefined/'off' to leave the mode off
+   * @returns {Function|null} Time source
+   */
+  function resolveTimeSource(value) {
+    if (value === null || value === undefined || value === '' || value === 'off') return null;
+    if (value === 'local') return () => new Date();
+    if (typeof value === 'function') return value;
+    const fixed = value instanceof Date ? value : new Date(value);
+    if (isNaN(fixed.getTime())) {
+      console.warn(`MunchkinScene: unknown time "${value}" (expected local, a date or a function)`);
+      return null;
+    }
+    return () => fixed;
+  }
+  
+  /**
+   * Approximate sun altitude for a local date and time (solar time taken as clock time).
+   * @param {Date} date - Moment to evaluate
+   * @returns {Object} { altitude, noonAltitude } in degrees
+   */
+  function sunAltitude(date) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dayOfYear = Math.floor((date - new Date(date.getFullYear(), 0, 0)) / 86400000);
+    const declination = 23.44 * Math.sin(toRadians(360 / 365 * (dayOfYear - 81)));
+    const hours = date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+    const hourAngle = 15 * (hours - 12);
+    const sinAltitude = Math.sin(toRadians(latitude)) * Math.sin(toRadians(declination)) +
+                        Math.cos(toRadians(latitude)) * Math.cos(toRadians(declination)) * Math.cos(toRadians(hourAngle));
+    return {
+      altitude: Math.asin(p.constrain(sinAltitude, -1, 1)) * 180 / Math.PI,
+      noonAltitude: 90 - Math.abs(latitude - declination)
+    };
+  }
+  
+  /**
+   * Recomputes the moon phase and the planet elongations (once per daylightInterval).
+   */
+  function updateSkyBodies() {
+    if (clock.time - lastSkyUpdate < daylightInterval) return;
+    lastSkyUpdate = clock.time;
+    const date = (skyDateSource || timeSource || (() => new Date()))();
+    
+    const lunation = (date - referenceNewMoon) / 86400000 / synodicMonth;
+    moonState.phase = lunation - Math.floor(lunation);
+    moonState.elongation = moonState.phase * 360;
+    
+    // Geocentric longitude of each planet relative to the sun (which sits opposite the Earth)
+    const days = (date - j2000) / 86400000;
+    const heliocentric = orbit => {
+      const longitude = (orbit.longitude + 360 * days / orbit.period) * Math.PI / 180;
+      return { x: orbit.radius * Math.cos(longitude), y: orbit.radius * Math.sin(longitude), longitude };
+    };
+    const earth = heliocentric(earthOrbit);
+    const sunLongitude = earth.longitude * 180 / Math.PI + 180;
+    planets.forEach(planet => {
+      const position = heliocentric(planet);
+      const geocentric = Math.atan2(position.y - earth.y, position.x - earth.x) * 180 / Math.PI;
+      planet.elongation = (((geocentric - sunLongitude) % 360) + 360) % 360;
+    });
+  }
+  
+  /**
+   * Recalculates the time-of-day weights (once per daylightInterval) and re-tints the palette.
+   * Night is full below -12 degrees (nautical twilight); dawn and dusk peak just before sunrise
+   * and just after sunset.
+   */
+  function updateDaylight() {
+    if (!timeSource) {
+      if (daylight.active) {
+        Object.assign(daylight, { active: false, altitude: 90, noonAltitude: 90, night: 0, dawn: 0, dusk: 0 });
+        applyTimeOfDayPalette();
       }
-    } else {
-      // Fast flat-color blending for other zones
-      let r = 0, g = 0, b = 0;
-      
-      r += p.red(spaceColor) * zone.space;
-      g += p.green(spaceColor) * zone.space;
-      b += p.blue(spaceColor) * zone.space;
-      
-      r += p.red(skyColor) * zone.sky;
-      g += p.green(skyColor) * zone.sky;
-      b += p.blue(skyColor) * zone.sky;
-      
-      r += p.red(deepSeaColor) * zone.deepSea;
-      g += p.green(deepSeaColor) * zone.deepSea;
-      b += p.blue(deepSeaColor) * zone.deepSea;
-      
-      p.background(r, g, b);
+      return;
     }
+    if (clock.time - lastDaylightUpdate < daylightInterval) return;
+    lastDaylightUpdate = clock.time;
+    
+    const date = timeSource();
+    const { altitude, noonAltitude } = sunAltitude(date);
+    const twilight = p.constrain(1 - Math.abs(altitude + 4) / 10, 0, 1); // Peaks 4 degrees below the horizon
+    const morning = date.getHours() < 12;
+    Object.assign(daylight, {
+      active: true,
+      altitude,
+      noonAltitude,
+      night: p.constrain(p.map(altitude, -2, -12, 0, 1), 0, 1),
+      dawn: morning ? twilight : 0,
+      dusk: morning ? 0 : twilight
+    });
+    applyTimeOfDayPalette();
   }
   
   /**
-   * Draws space zone elements (stars and rocket).
-   * Rocket fades out as we transition to aurora.
-   * @param {number} intensity - Zone intensity (0-1)
+   * Tints the sky, sunset and aurora colours for the current time of day: darker skies at
+   * night, a warmer sky at dusk and a pink aurora at dawn.
    */
-  function drawSpaceElements(intensity) {
-    // Draw stars with natural breathing effect and moving stars with trails
-    p.push();
-    stars.forEach(star => {
-      if (star.isMoving === true) {
-        // Moving stars with fading trails - ONLY these move
-        star.x += star.speedX;
-        star.y += star.speedY;
-        
-        // Wrap around screen
-        if (star.x < 0) star.x = p.width;
-        if (star.x > p.width) star.x = 0;
-        if (star.y < 0) star.y = p.height;
-        if (star.y > p.height) star.y = 0;
-        
-        // Update trail - add point every frame for smooth, long trail
-        star.trail.push({ x: star.x, y: star.y, life: 1.0 });
-        // Limit trail length based on maxTrailLength
-        if (star.trail.length > star.maxTrailLength) {
-          star.trail.shift(); // Remove oldest point
-        }
-        // Decay trail points with variable decay rate (extremely slow for very long visible tail)
-        star.trail = star.trail.filter(point => {
-          point.life -= star.trailDecay;
-          return point.life > 0;
-        });
-        
-        // Draw trail (fading tail with variable length) - use lines for smoother, longer appearance
-        if (star.trail.length > 1) {
+  function applyTimeOfDayPalette() {
+    const { night, dawn, dusk } = daylight;
+    const tints = timeOfDayTints;
+    skyColor = p.lerpColor(p.lerpColor(dayPalette.sky, tints.duskSky, dusk * 0.35), tints.nightSky, night * 0.9);
+    sunsetSkyColor = p.lerpColor(dayPalette.sunsetSky, tints.nightSunsetSky, night * 0.8);
+    sunsetColor = p.lerpColor(dayPalette.sunset, tints.nightSunset, night * 0.8);
+    auroraGreen = p.lerpColor(dayPalette.auroraGreen, tints.dawnAurora, dawn * 0.75);
+    auroraPurple = p.lerpColor(dayPalette.auroraPurple, tints.dawnAuroraHigh, dawn * 0.6);
+    zonePalette = buildZonePalette();
+  }
+  
+  /**
+   * Background and accent each zone lends to the page chrome (see publishSceneColors).
+   * @returns {Object} Zone name -> { background, accent }
+   */
+  function buildZonePalette() {
+    return {
+      space: { background: spaceColor, accent: p.color(170, 200, 255) },
+      aurora: { background: polarNightColor, accent: auroraGreen },
+      sky: { background: skyColor, accent: p.color(255, 255, 255) },
+      sunset: { background: p.lerpColor(sunsetSkyColor, sunsetColor, 0.5), accent: sunsetColor },
+      deepSea: { background: deepSeaColor, accent: p.color(80, 220, 255) }
+    };
+  }
+  
+  /**
+   * Checks a weather preset name.
+   * @param {string} name - Preset name (undefined for the default)
+   * @returns {string} The name, or 'clear' if it is missing or unknown
+   */
+  function resolveWeather(name) {
+    if (name === undefined || name === null || name === '') return 'clear';
+    if (Object.hasOwn(weatherPresets, name)) return name;
+    console.warn(`MunchkinScene: unknown weather "${name}" (expected ${Object.keys(weatherPresets).join(', ')})`);
+    return 'clear';
+  }
+  
+  /**
+   * Eases the weather levels toward the current preset and updates the wind gusts.
+   */
+  function updateWeather() {
+    const ease = clock.damp(weatherEasing);
+    Object.keys(weatherLevels).forEach(component => {
+      weatherLevels[component] = p.lerp(weatherLevels[component], weatherTarget[component], ease);
+    });
+    windGust = weatherLevels.wind * (0.3 + 0.7 * p.noise(clock.time * 0.25, 500));
+  }
+  
+  /**
+   * Reads the analyser into the smoothed audio bands. Without a source the bands ease back
+   * to zero, so leaving audio-reactive mode never snaps the scene.
+   */
+  function updateAudioBands() {
+    let levels = null;
+    if (audioAnalysis) {
+      const { analyser, bins } = audioAnalysis;
+      analyser.getByteFrequencyData(bins);
+      const binWidth = audioAnalysis.context.sampleRate / analyser.fftSize; // Hz per bin
+      levels = {};
+      Object.keys(audioBandRanges).forEach(band => {
+        const [low, high] = audioBandRanges[band];
+        const first = Math.max(1, Math.floor(low / binWidth));
+        const last = Math.min(bins.length - 1, Math.ceil(high / binWidth));
+        let sum = 0;
+        for (let i = first; i <= last; i++) sum += bins[i];
+        levels[band] = last >= first ? sum / ((last - first + 1) * 255) : 0;
+      });
+    }
+    
+    const ease = clock.damp(audioBandEasing);
+    Object.keys(audioBands).forEach(band => {
+      audioBands[band] = p.lerp(audioBands[band], levels ? levels[band] : 0, ease);
+    });
+    maxWaveHeight = baseWaveHeight * (1 + audioBands.bass * 1.5);
+  }
+  
+  /**
+   * Routes a media element through an analyser (and on to the speakers) for audio-reactive
+   * mode, or disconnects the current one.
+   * @param {HTMLMediaElement|string|null} source - <audio>/<video> element or selector, or null to stop
+   * @returns {boolean} False if the source is not a media element or WebAudio is unavailable
+   */
+  function connectAudioSource(source) {
+    const element = typeof source === 'string' ? document.querySelector(source) : source;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const stopping = source === null || source === undefined;
+    if (!stopping && (!element || typeof element.play !== 'function' || !AudioContextClass)) return false;
+    
+    if (audioAnalysis) {
+      audioAnalysis.source.disconnect();
+      audioAnalysis.analyser.disconnect();
+      audioAnalysis.source.connect(audioAnalysis.context.destination); // Keep it audible
+      audioAnalysis = null;
+    }
+    if (stopping) return true;
+    
+    if (!mediaSources.has(element)) {
+      const context = new AudioContextClass();
+      mediaSources.set(element, { context, node: context.createMediaElementSource(element) });
+      element.addEventListener('play', () => context.resume());
+    }
+    const { context, node } = mediaSources.get(element);
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+    analyser.smoothingTimeConstant = 0.6;
+    node.disconnect();
+    node.connect(analyser);
+    analyser.connect(context.destination);
+    context.resume();
+    audioAnalysis = { context, analyser, bins: new Uint8Array(analyser.frequencyBinCount), source: node };
+    return true;
+  }
+  
+  /**
+   * Pixel offset of a parallax layer. Near layers move further, against the view direction.
+   * @param {number} depth - Layer depth (0 = fixed at infinity, 1 = nearest)
+   * @returns {Object} { x, y } in pixels
+   */
+  function parallaxOffset(depth) {
+    return {
+      x: -parallax.x * depth * maxParallaxShift,
+      y: -parallax.y * depth * maxParallaxShift
+    };
+  }
+  
+  /**
+   * Measures the [data-zone] sections and rebuilds the raw scroll -> timeline keyframes.
+   * Each anchored section maps the scroll position where it arrives in view to its zone's start.
+   * @param {number} currentScroll - Current window scroll offset (px)
+   */
+  function updateZoneAnchors(currentScroll) {
+    const keyframes = [{ raw: 0, progress: 0 }];
+    
+    anchorSections.forEach(section => {
+      const entry = zoneTimeline.find(zone => zone.name === section.dataset.zone);
+      // Skip unknown zones and sections that are detached or hidden (no layout boxes)
+      if (!entry || section.getClientRects().length === 0) return;
+      
+      const sectionTop = contentPosition(section, currentScroll);
+      const anchorScroll = sectionTop - viewportLength() * anchorViewportRatio;
+      keyframes.push({
+        raw: p.constrain(anchorScroll / Math.max(maxScroll, 1), 0, 1),
+        progress: entry.start
+      });
+    });
+    
+    keyframes.push({ raw: 1, progress: 1 });
+    keyframes.sort((a, b) => a.progress - b.progress);
+    
+    // Skip anchors whose sections are out of timeline order so the mapping never runs backwards
+    zoneAnchors = [];
+    keyframes.forEach(keyframe => {
+      const last = zoneAnchors[zoneAnchors.length - 1];
+      if (!last || keyframe.raw >= last.raw) {
+        zoneAnchors.push(keyframe);
+      }
+    });
+  }
+  
+  /**
+   * Maps raw scroll progress onto the zone timeline through the section anchors
+   * (piecewise linear between keyframes). Without anchors the mapping is the identity.
+   * @param {number} rawProgress - Scroll position as a fraction of the scrollable height (0-1)
+   * @returns {number} Timeline progress (0-1)
+   */
+  function anchoredProgress(rawProgress) {
+    for (let i = 1; i < zoneAnchors.length; i++) {
+      const from = zoneAnchors[i - 1];
+      const to = zoneAnchors[i];
+      if (rawProgress <= to.raw) {
+        const span = to.raw - from.raw;
+        return span > 0 ? p.map(rawProgress, from.raw, to.raw, from.progress, to.progress) : to.progress;
+      }
+    }
+    return rawProgress;
+  }
+  
+  /**
+   * Calculates the weight of every zone in `zoneTimeline` for the current scroll progress.
+   * @returns {Object} Zone weights keyed by zone name (space, aurora, sky, sunset, deepSea), summing to 1
+   */
+  function calculateZone() {
+    const zone = {};
+    let total = 0;
+    
+    zoneTimeline.forEach((entry, index) => {
+      zone[entry.name] = zoneWeight(index, scrollProgress);
+      total += zone[entry.name];
+    });
+    
+    // Normalize so overlapping or gapped timeline entries still blend to a full scene
+    if (total > 0) {
+      Object.keys(zone).forEach(name => {
+        zone[name] /= total;
+      });
+    }
+    
+    return zone;
+  }
+  
+  /**
+   * Weight (0-1) of a single timeline zone at the given progress.
+   * A zone fades out over the blend of the zone that follows it, so neighbours always sum to 1.
+   * @param {number} index - Index in zoneTimeline
+   * @param {number} t - Scroll progress (0-1)
+   * @returns {number} Zone weight
+   */
+  function zoneWeight(index, t) {
+    const entry = zoneTimeline[index];
+    const next = zoneTimeline[index + 1];
+    
+    if (t < entry.start) {
+      return index === 0 ? 1 : zoneBlendIn(entry, t);
+    }
+    if (t <= entry.end || !next) {
+      return 1;
+    }
+    return 1 - zoneBlendIn(next, t);
+  }
+  
+  /**
+   * Eased fade-in of a zone over its blend width, ending at the zone start.
+   * @param {Object} entry - Timeline zone
+   * @param {number} t - Scroll progress (0-1)
+   * @returns {number} Fade-in amount (0-1)
+   */
+  function zoneBlendIn(entry, t) {
+    if (entry.blend <= 0) {
+      return t >= entry.start ? 1 : 0;
+    }
+    const localProgress = p.constrain((t - (entry.start - entry.blend)) / entry.blend, 0, 1);
+    return zoneEasings[entry.easing](localProgress);
+  }
+  
+  /**
+   * Describes a zone weight object for the page (API results and event details).
+   * @param {Object} zone - Zone weights from calculateZone()
+   * @returns {Object} { name: dominant zone, progress: timeline progress, weights: zone weights }
+   */
+  function describeZone(zone) {
+    const name = Object.keys(zone).reduce((a, b) => (zone[b] > zone[a] ? b : a));
+    return { name, progress: scrollProgress, weights: { ...zone } };
+  }
+  
+  /**
+   * Notifies the page about the journey through CustomEvents on document:
+   * - `zoneprogress` whenever the timeline progress changes
+   * - `zonechange` when the dominant zone changes (detail.previous holds the old zone name)
+   * @param {Object} zone - Zone weights from calculateZone()
+   */
+  function dispatchZoneEvents(zone) {
+    if (scrollProgress === announcedProgress) return;
+    announcedProgress = scrollProgress;
+    
+    const detail = describeZone(zone);
+    if (detail.name !== announcedZone) {
+      const previous = announcedZone;
+      announcedZone = detail.name;
+      document.dispatchEvent(new CustomEvent('zonechange', { detail: { ...detail, previous } }));
+    }
+    document.dispatchEvent(new CustomEvent('zoneprogress', { detail }));
+  }
+  
+  /**
+   * Publishes the blended zone colours as CSS custom properties on :root, so the
+   * glass cards, nav and headings can tint themselves to the scene beneath them:
+   * - `--scene-bg-rgb` / `--scene-accent-rgb`: blended colours as "r, g, b" (for rgba())
+   * - `--scene-shade-rgb`: darkened background, used to keep text readable over bright zones
+   * - `--scene-luminance`: relative luminance of the background (0-1)
+   * Throttled while looping (a still scene only redraws on demand, so its last frame must
+   * always be written), and only properties whose value changed are written.
+   * @param {Object} zone - Zone weights from calculateZone()
+   */
+  function publishSceneColors(zone) {
+    const now = Date.now();
+    if (p.isLooping() && now - lastColorPublish < colorPublishThrottle) return;
+    lastColorPublish = now;
+    
+    const bg = [0, 0, 0];
+    const accent = [0, 0, 0];
+    let total = 0;
+    Object.keys(zonePalette).forEach(name => {
+      const weight = zone[name] || 0;
+      if (weight <= 0) return;
+      const { background, accent: accentColor } = zonePalette[name];
+      bg[0] += p.red(background) * weight;
+      bg[1] += p.green(background) * weight;
+      bg[2] += p.blue(background) * weight;
+      accent[0] += p.red(accentColor) * weight;
+      accent[1] += p.green(accentColor) * weight;
+      accent[2] += p.blue(accentColor) * weight;
+      total += weight;
+    });
+    if (total <= 0) return;
+    
+    const toRgb = (channels, scale = 1) => channels.map(c => Math.round(c / total * scale)).join(', ');
+    const luminance = (0.2126 * bg[0] + 0.7152 * bg[1] + 0.0722 * bg[2]) / total / 255;
+    
+    setSceneProperty('--scene-bg-rgb', toRgb(bg));
+    setSceneProperty('--scene-accent-rgb', toRgb(accent));
+    setSceneProperty('--scene-shade-rgb', toRgb(bg, 0.35));
+    setSceneProperty('--scene-luminance', luminance.toFixed(3));
+  }
+  
+  /**
+   * Writes a CSS custom property on :root if its value changed since the last write.
+   * @param {string} name - Custom property name
+   * @param {string} value - Property value
+   */
+  function setSceneProperty(name, value) {
+    if (publishedColors[name] === value) return;
+    publishedColors[name] = value;
+    document.documentElement.style.setProperty(name, value);
+  }
+  
+  /**
+   * Draws the background with smooth color transitions between zones.
+   * Optimized to reduce drawing calls.
+   * @param {Object} zone - Zone weights
+   */
+  function drawBackground(zone) {
+    // Gradient backgrounds for more natural atmosphere (Aurora and Sunset)
+    if (zone.aurora > 0.1 || zone.sunset > 0.05) {
+      const gradientStep = quality.gradientStep; // Higher step for performance during sunset
+      for (let y = 0; y < p.height; y += gradientStep) {
+        const lerpRatio = p.map(y, 0, p.height, 0, 1);
+        let gradientColor;
+        
+        if (zone.aurora > 0.1) {
+          // Aurora Gradient
+          gradientColor = p.lerpColor(spaceColor, polarNightColor, lerpRatio);
+          if (zone.space > 0) gradientColor = p.lerpColor(spaceColor, gradientColor, zone.aurora);
+          if (zone.sky > 0) {
+            const skyLerp = p.lerpColor(polarNightColor, skyColor, zone.sky);
+            gradientColor = p.lerpColor(gradientColor, skyLerp, zone.sky);
+          }
+        } else {
+          // Sunset Gradient: Top stays blue-ish longer, bottom turns orange/pink
+          // This creates a much more "natural" sky atmosphere
+          const topColor = p.lerpColor(skyColor, sunsetSkyColor, zone.sunset * 0.6);
+          const bottomColor = p.lerpColor(skyColor, sunsetColor, zone.sunset);
+          
+          gradientColor = p.lerpColor(topColor, bottomColor, lerpRatio);
+          
+          // Blend into Deep Sea if active
+          if (zone.deepSea > 0) {
+            gradientColor = p.lerpColor(gradientColor, deepSeaColor, zone.deepSea);
+          }
+        }
+        
+        p.stroke(gradientColor);
+        p.strokeWeight(gradientStep);
+        p.line(0, y, p.width, y);
+      }
+    } else {
+      // Fast flat-color blending for other zones
+      let r = 0, g = 0, b = 0;
+      
+      r += p.red(spaceColor) * zone.space;
+      g += p.green(spaceColor) * zone.space;
+      b += p.blue(spaceColor) * zone.space;
+      
+      r += p.red(skyColor) * zone.sky;
+      g += p.green(skyColor) * zone.sky;
+      b += p.blue(skyColor) * zone.sky;
+      
+      r += p.red(deepSeaColor) * zone.deepSea;
+      g += p.green(deepSeaColor) * zone.deepSea;
+      b += p.blue(deepSeaColor) * zone.deepSea;
+      
+      p.background(r, g, b);
+    }
+  }
+  
+  /**
+   * Draws space zone elements (stars, constellations and meteors).
+   * Rocket fades out as we transition to aurora.
+   * Fast scrolling stretches the stars into streaks and lengthens the meteor trails.
+   * @param {number} intensity - Zone intensity (0-1)
+   * @param {Object} motion - Smoothed scroll motion { velocity, speed }
+   */
+  function drawSpaceElements(intensity, motion) {
+    // Streak length (px) along the scroll direction: stars trail behind as the page moves up
+    const streakLength = p.constrain(motion.velocity, -fullSpeedVelocity, fullSpeedVelocity) * 25;
+    
+    // Draw stars with natural breathing effect and moving stars with trails
+    const starShift = parallaxOffset(parallaxDepths.stars);
+    p.push();
+    p.translate(starShift.x, starShift.y);
+    const starCount = activeCount(stars);
+    stars.forEach((star, index) => {
+      if (index >= starCount) return;
+      if (star.isMoving === true) {
+        // Moving stars with fading trails - ONLY these move
+        star.x += star.speedX * clock.dt;
+        star.y += star.speedY * clock.dt;
+        
+        // Wrap around screen
+        if (star.x < 0) star.x = p.width;
+        if (star.x > p.width) star.x = 0;
+        if (star.y < 0) star.y = p.height;
+        if (star.y > p.height) star.y = 0;
+        
+        // Update trail - add point every frame for smooth, long trail
+        star.trail.push({ x: star.x, y: star.y, life: 1.0, time: clock.time });
+        // Limit trail length based on maxTrailAge (shortened at lower quality tiers)
+        const maxTrailAge = star.maxTrailAge * quality.trailScale;
+        while (star.trail.length > 0 && clock.time - star.trail[0].time > maxTrailAge) {
+          star.trail.shift(); // Remove oldest point
+        }
+        // Decay trail points with variable decay rate (extremely slow for very long visible tail)
+        star.trail = star.trail.filter(point => {
+          point.life -= star.trailDecay * clock.dt;
+          return point.life > 0;
+        });
+        
+        // Draw trail (fading tail with variable length) - use lines for smoother, longer appearance
+        if (star.trail.length > 1) {
           p.strokeWeight(2);
           for (let i = 0; i < star.trail.length - 1; i++) {
             const point = star.trail[i];
@@ -541,7 +1551,7 @@ const immersiveScroll = (p) => {
         });
         
         // Draw star head
-        const breathing = p.sin(p.frameCount * star.twinkleSpeed) * 0.15 + 0.85; // Subtle breathing
+        const breathing = p.sin(clock.time * star.twinkleSpeed) * 0.15 + 0.85; // Subtle breathing
         const alpha = star.brightness * intensity * breathing;
         if (alpha > 10) {
           p.fill(255, 255, 255, alpha);
@@ -555,409 +1565,1014 @@ const immersiveScroll = (p) => {
         const originalY = star.y;
         
         // More noticeable breathing effect
-        const breathing = p.sin(p.frameCount * star.twinkleSpeed) * 0.35 + 0.65; // More noticeable breathing (65-100% brightness)
-        const alpha = star.brightness * intensity * breathing;
+        const breathing = p.sin(clock.time * star.twinkleSpeed) * 0.35 + 0.65; // More noticeable breathing (65-100% brightness)
+        const sparkle = audioBands.high * (0.5 + 0.5 * p.sin(clock.time * 25 + index * 1.7)); // Audio highs
+        const alpha = Math.min(star.brightness * intensity * breathing * (1 + sparkle), 255);
         if (alpha > 10) {
           p.fill(255, 255, 255, alpha);
           p.noStroke();
           p.ellipse(originalX, originalY, star.size); // Always use original position
+          
+          // Scroll streak
+          if (Math.abs(streakLength) > 1) {
+            p.stroke(255, 255, 255, alpha * 0.5);
+            p.strokeWeight(star.size * 0.7);
+            p.line(originalX, originalY, originalX, originalY + streakLength * (star.size / 2));
+          }
         }
       }
     });
     p.pop();
     
-    // Draw meteorites/falling stars
+    // Link the stars around the pointer while it moves, fading out once it rests
+    const linking = pointer.active && clock.time - pointer.lastMove < constellationLinger;
+    constellationGlow = p.lerp(constellationGlow, linking ? 1 : 0, clock.damp(linking ? 6 : 1.5));
+    if (constellationGlow > 0.01) {
+      drawPointerConstellation(intensity, starCount, starShift);
+    }
+    
+    drawNamedConstellations(intensity, starShift);
+    drawSpaceSkyBodies(intensity, starShift);
+    
+    // Meteors: schedule events, then move and draw the active ones
     if (intensity > 0.1) {
+      updateMeteorEvents();
       p.push();
+      p.noStroke();
       meteorites.forEach(meteor => {
-        // Update position
-        meteor.x += meteor.speedX;
-        meteor.y += meteor.speedY;
+        if (!meteor.active) return;
+        meteor.x += meteor.speedX * clock.dt;
+        meteor.y += meteor.speedY * clock.dt;
+        meteor.life -= clock.dt;
         
-        // Reset if off screen
-        if (meteor.x < -100 || meteor.y > p.height + 100) {
-          meteor.x = p.random(p.width * 0.5, p.width * 1.5);
-          meteor.y = p.random(-p.height * 0.5, p.height * 0.2);
-          meteor.speedX = p.random(-8, -4);
-          meteor.speedY = p.random(4, 8);
+        // Back to the pool once burnt out or off screen
+        if (meteor.life <= 0 || meteor.x < -150 || meteor.x > p.width * 1.6 || meteor.y > p.height + 150 || meteor.y < -p.height) {
+          meteor.active = false;
+          return;
         }
         
-        // Draw trailing effect
-        const trailAlpha = intensity;
-        const trailSteps = Math.floor(meteor.trailLength / 3);
+        // Shower meteors flare up and burn out; the others keep their brightness
+        const fade = meteor.maxLife === Infinity ? 1 : p.constrain(meteor.life / meteor.maxLife * 3, 0, 1);
+        const brightness = meteor.brightness * fade;
+        const fireball = meteor.kind === 'fireball';
         
+        // Draw trailing effect (up to 4x longer while scrolling fast)
+        const trailSteps = Math.floor(meteor.trailLength / 3);
+        const trailSeconds = meteor.trailSeconds * (1 + motion.speed * 3);
         for (let i = 0; i < trailSteps; i++) {
           const t = i / trailSteps;
-          const trailX = meteor.x - meteor.speedX * t * 2;
-          const trailY = meteor.y - meteor.speedY * t * 2;
-          const alpha = (1 - t) * trailAlpha * meteor.brightness;
+          const trailX = meteor.x - meteor.speedX * t * trailSeconds;
+          const trailY = meteor.y - meteor.speedY * t * trailSeconds;
+          const alpha = (1 - t) * intensity * brightness;
           const size = meteor.size * (1 - t * 0.5);
           
-          // Gradient from bright white to blue
-          const r = 255;
-          const g = p.lerp(255, 200, t);
-          const b = p.lerp(255, 255, t);
-          
-          p.fill(r, g, b, alpha);
-          p.noStroke();
+          // Gradient from bright white to blue (fireballs burn from yellow to orange)
+          if (fireball) {
+            p.fill(255, p.lerp(235, 120, t), p.lerp(180, 50, t), alpha);
+          } else {
+            p.fill(255, p.lerp(255, 200, t), 255, alpha);
+          }
           p.ellipse(trailX, trailY, size);
         }
         
+        // Fireballs glow and flicker around their head
+        if (fireball) {
+          const flicker = 0.8 + 0.2 * p.noise(meteor.x * 0.05, clock.time * 8);
+          p.fill(255, 200, 120, intensity * brightness * 0.25 * flicker);
+          p.ellipse(meteor.x, meteor.y, meteor.size * 5 * flicker);
+        }
+        
         // Draw bright head of meteorite
-        p.fill(255, 255, 255, intensity * meteor.brightness);
-        p.noStroke();
+        p.fill(255, 255, 255, intensity * brightness);
         p.ellipse(meteor.x, meteor.y, meteor.size * 1.5);
-        p.fill(200, 220, 255, intensity * meteor.brightness * 0.8);
+        p.fill(200, 220, 255, intensity * brightness * 0.8);
         p.ellipse(meteor.x, meteor.y, meteor.size);
       });
       p.pop();
     }
     
-    // Draw satellite (background, independent time-based movement, right to left)
+    // Satellites and space stations (background, time-based orbits)
     if (intensity > 0.1) {
-      // Satellite moves independently based on time, not scroll
-      // Slower continuous movement - loops every ~25 seconds at 60fps
-      const satelliteSpeed = 0.0006; // Slower movement speed
-      const satelliteProgress = (p.frameCount * satelliteSpeed) % 1; // Continuous loop from 0 to 1
-      
-      const satelliteStartX = p.width * 0.8; // Start closer to screen (already partially visible)
-      const satelliteStartY = p.height * 0.5; // Start position
-      const satelliteTargetX = -150; // Exit off-screen left
-      const satelliteTargetY = p.height * 0.5; // End position (same height for rainbow arc)
-      
-      // Create rainbow-like trajectory (pronounced upward bow)
-      const satelliteControlX = p.width * 0.5; // Control point X (centered)
-      const satelliteControlY = p.height * 0.05; // Control point Y (high up for rainbow arc)
-      
-      const t = satelliteProgress;
-      const oneMinusT = 1 - t;
-      
-      // Calculate position on bezier curve
-      const newSatX = oneMinusT * oneMinusT * satelliteStartX + 
-                      2 * oneMinusT * t * satelliteControlX + 
-                      t * t * satelliteTargetX;
-      const newSatY = oneMinusT * oneMinusT * satelliteStartY + 
-                      2 * oneMinusT * t * satelliteControlY + 
-                      t * t * satelliteTargetY;
-      
-      // Store previous position for direction calculation
-      satellite.prevX = satellite.x;
-      satellite.prevY = satellite.y;
-      
-      // Update position
-      satellite.x = newSatX;
-      satellite.y = newSatY;
-      
-      // Calculate direction based on actual movement
-      let satDx = satellite.x - satellite.prevX;
-      let satDy = satellite.y - satellite.prevY;
+      drawSatellites(intensity);
+    }
+  }
+  
+  /**
+   * Checks a satellite or station count setting.
+   * @param {*} value - Setting value (undefined for the default)
+   * @param {number} fallback - Default count
+   * @returns {number} Whole count from 0 to maxSatellites
+   */
+  function resolveSatelliteCount(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const count = Number(value);
+    if (Number.isInteger(count) && count >= 0) return Math.min(count, maxSatellites);
+    console.warn(`MunchkinScene: invalid satellite count "${value}" (expected a whole number from 0 to ${maxSatellites})`);
+    return fallback;
+  }
+  
+  /**
+   * Puts the configured number of satellites and stations on their orbits. Each orbit is an
+   * ellipse (centre and radii as viewport fractions, tilted), wide enough to cross the screen.
+   */
+  function buildSatellites() {
+    satellites = [];
+    const kinds = [...Array(satelliteCount).fill('satellite'), ...Array(stationCount).fill('station')];
+    kinds.forEach(kind => {
+      const station = kind === 'station';
+      satellites.push({
+        kind,
+        centerX: p.random(0.3, 0.7),
+        centerY: p.random(0.2, 0.45),
+        radiusX: p.random(0.55, 0.85),
+        radiusY: p.random(0.08, 0.25),
+        tilt: p.random(-0.35, 0.35),
+        angle: p.random(p.TWO_PI),                 // Position on the orbit (radians)
+        speed: p.TWO_PI / p.random(station ? 70 : 35, station ? 110 : 70) * (p.random() < 0.5 ? -1 : 1), // radians/s
+        size: station ? p.random(1, 1.2) : p.random(0.9, 1.3),
+        blinkOffset: p.random(navLightPeriod),
+        flareAge: Infinity, // Seconds since its last flare
+        x: 0,
+        y: 0,
+        heading: 0,
+        depth: 1            // 0 on the far side of the orbit, 1 on the near side
+      });
+    });
+  }
+  
+  /**
+   * Moves the satellites along their orbits and draws them: smaller and dimmer on the far
+   * side of the ellipse, with blinking navigation lights and the occasional flare.
+   * @param {number} intensity - Space zone intensity (0-1)
+   */
+  function drawSatellites(intensity) {
+    const baseAlpha = p.map(intensity, 0.1, 1, 0, 200); // More transparent (background)
+    
+    // Flares: a random satellite in view catches the sun
+    satelliteFlareTimer -= clock.dt;
+    if (satelliteFlareTimer <= 0) {
+      satelliteFlareTimer = p.random(satelliteFlareTime[0], satelliteFlareTime[1]);
+      const inView = satellites.filter(sat => sat.kind === 'satellite' &&
+        sat.x > 0 && sat.x < p.width && sat.y > 0 && sat.y < p.height);
+      if (inView.length > 0) p.random(inView).flareAge = 0;
+    }
+    
+    satellites.forEach(sat => {
+      sat.angle += sat.speed * clock.dt;
+      const cosTilt = Math.cos(sat.tilt);
+      const sinTilt = Math.sin(sat.tilt);
+      const localX = sat.radiusX * p.width * Math.cos(sat.angle);
+      const localY = sat.radiusY * p.height * Math.sin(sat.angle);
+      sat.x = sat.centerX * p.width + localX * cosTilt - localY * sinTilt;
+      sat.y = sat.centerY * p.height + localX * sinTilt + localY * cosTilt;
       
-      // If satellite hasn't moved yet (first frame), use bezier derivative
-      if (Math.abs(satDx) < 0.1 && Math.abs(satDy) < 0.1) {
-        satDx = 2 * oneMinusT * (satelliteControlX - satelliteStartX) + 2 * t * (satelliteTargetX - satelliteControlX);
-        satDy = 2 * oneMinusT * (satelliteControlY - satelliteStartY) + 2 * t * (satelliteTargetY - satelliteControlY);
-      }
+      // Heading along the orbit's tangent (nose up by default, hence PI/2)
+      const tangentX = -sat.radiusX * p.width * Math.sin(sat.angle) * Math.sign(sat.speed);
+      const tangentY = sat.radiusY * p.height * Math.cos(sat.angle) * Math.sign(sat.speed);
+      sat.heading = p.atan2(tangentX * sinTilt + tangentY * cosTilt, tangentX * cosTilt - tangentY * sinTilt) + p.PI / 2;
+      sat.depth = (Math.sin(sat.angle) + 1) / 2;
       
-      satellite.angle = p.atan2(satDy, satDx) + p.PI / 2;
+      // Flares run on while the satellite is off screen
+      const flareAge = sat.flareAge;
+      sat.flareAge += clock.dt;
       
-      // Draw satellite (cartoon style with wings, in background)
-      const satAlpha = p.map(intensity, 0.1, 1, 0, 200); // More transparent (background)
-      const satSize = 1.3; // Size multiplier
+      const margin = 60 * sat.size;
+      if (sat.x < -margin || sat.x > p.width + margin || sat.y < -margin || sat.y > p.height + margin) return;
       
+      const alpha = baseAlpha * (0.45 + 0.55 * sat.depth);
+      const scale = sat.size * (0.6 + 0.4 * sat.depth);
       p.push();
-      p.translate(satellite.x, satellite.y);
-      p.rotate(satellite.angle);
-      
-      // Main body (rounded, cartoon-like)
-      p.fill(200, 200, 220, satAlpha);
-      p.stroke(160, 160, 180, satAlpha);
-      p.strokeWeight(1.5);
-      p.rectMode(p.CENTER);
-      p.rect(0, 0, 20 * satSize, 14 * satSize, 3); // Rounded rectangle
-      
-      // Cartoon-style wings (solar panels) - more prominent
-      p.fill(220, 220, 240, satAlpha);
-      p.stroke(180, 180, 200, satAlpha);
-      p.strokeWeight(1.5);
+      p.translate(sat.x, sat.y);
+      p.rotate(sat.heading);
+      if (sat.kind === 'station') {
+        drawSpaceStation(scale, alpha);
+      } else {
+        drawSatellite(scale, alpha);
+      }
+      drawNavigationLights(sat, scale, alpha);
+      p.pop();
       
-      // Left wing (larger, more cartoon-like)
-      p.beginShape();
-      p.vertex(-10 * satSize, -2 * satSize);
-      p.vertex(-18 * satSize, -6 * satSize);
-      p.vertex(-22 * satSize, 0);
-      p.vertex(-18 * satSize, 6 * satSize);
-      p.vertex(-10 * satSize, 2 * satSize);
-      p.endShape(p.CLOSE);
+      if (flareAge < satelliteFlareDuration) {
+        drawSatelliteFlare(sat, flareAge, intensity);
+      }
+    });
+  }
+  
+  /**
+   * Draws a small satellite (cartoon style with wings) in its own frame.
+   * @param {number} satSize - Size multiplier
+   * @param {number} satAlpha - Opacity (0-255)
+   */
+  function drawSatellite(satSize, satAlpha) {
+    // Main body (rounded, cartoon-like)
+    p.fill(200, 200, 220, satAlpha);
+    p.stroke(160, 160, 180, satAlpha);
+    p.strokeWeight(1.5);
+    p.rectMode(p.CENTER);
+    p.rect(0, 0, 20 * satSize, 14 * satSize, 3); // Rounded rectangle
+    
+    // Cartoon-style wings (solar panels) - more prominent
+    p.fill(220, 220, 240, satAlpha);
+    p.stroke(180, 180, 200, satAlpha);
+    p.strokeWeight(1.5);
+    
+    // Left wing (larger, more cartoon-like)
+    p.beginShape();
+    p.vertex(-10 * satSize, -2 * satSize);
+    p.vertex(-18 * satSize, -6 * satSize);
+    p.vertex(-22 * satSize, 0);
+    p.vertex(-18 * satSize, 6 * satSize);
+    p.vertex(-10 * satSize, 2 * satSize);
+    p.endShape(p.CLOSE);
+    
+    // Right wing
+    p.beginShape();
+    p.vertex(10 * satSize, -2 * satSize);
+    p.vertex(18 * satSize, -6 * satSize);
+    p.vertex(22 * satSize, 0);
+    p.vertex(18 * satSize, 6 * satSize);
+    p.vertex(10 * satSize, 2 * satSize);
+    p.endShape(p.CLOSE);
+    
+    // Wing details (panel lines)
+    p.stroke(150, 150, 170, satAlpha * 0.7);
+    p.strokeWeight(1);
+    p.noFill();
+    p.line(-14 * satSize, -4 * satSize, -14 * satSize, 4 * satSize);
+    p.line(14 * satSize, -4 * satSize, 14 * satSize, 4 * satSize);
+    
+    // Antenna (cartoon style - thicker)
+    p.stroke(160, 160, 180, satAlpha);
+    p.strokeWeight(2);
+    p.line(0, -7 * satSize, 0, -14 * satSize);
+    p.fill(220, 220, 240, satAlpha);
+    p.noStroke();
+    p.ellipse(0, -14 * satSize, 5 * satSize);
+    
+    // Small window/eye (cartoon detail)
+    p.fill(150, 200, 255, satAlpha * 0.8);
+    p.noStroke();
+    p.ellipse(0, -2 * satSize, 6 * satSize, 6 * satSize);
+  }
+  
+  /**
+   * Draws a space station in its own frame: a truss with four solar arrays, the pressurised
+   * modules in the middle and a pair of radiators.
+   * @param {number} size - Size multiplier
+   * @param {number} alpha - Opacity (0-255)
+   */
+  function drawSpaceStation(size, alpha) {
+    p.rectMode(p.CENTER);
+    
+    // Truss
+    p.stroke(170, 170, 185, alpha);
+    p.strokeWeight(2 * size);
+    p.line(-48 * size, 0, 48 * size, 0);
+    
+    // Solar arrays (two on each side of the truss)
+    p.strokeWeight(1);
+    [-42, -30, 30, 42].forEach(offset => {
+      p.fill(70, 95, 160, alpha);
+      p.stroke(150, 160, 190, alpha);
+      p.rect(offset * size, 0, 9 * size, 32 * size);
+      p.stroke(110, 130, 190, alpha * 0.8);
+      p.line(offset * size, -16 * size, offset * size, 16 * size);
+    });
+    
+    // Radiators
+    p.fill(235, 235, 245, alpha);
+    p.stroke(190, 190, 205, alpha);
+    p.rect(-14 * size, 9 * size, 6 * size, 12 * size);
+    p.rect(14 * size, 9 * size, 6 * size, 12 * size);
+    
+    // Modules
+    p.fill(215, 215, 228, alpha);
+    p.stroke(160, 160, 180, alpha);
+    p.rect(0, 0, 26 * size, 9 * size, 3);
+    p.rect(0, -9 * size, 8 * size, 12 * size, 2);
+    p.fill(150, 200, 255, alpha * 0.8);
+    p.noStroke();
+    p.ellipse(0, -12 * size, 4 * size);
+  }
+  
+  /**
+   * Draws the blinking navigation lights: red on the left tip, green on the right tip and
+   * a white strobe on top, each flashing briefly once per navLightPeriod.
+   * @param {Object} sat - Satellite entry
+   * @param {number} size - Size multiplier
+   * @param {number} alpha - Opacity (0-255)
+   */
+  function drawNavigationLights(sat, size, alpha) {
+    const cycle = (clock.time + sat.blinkOffset) % navLightPeriod;
+    const tip = (sat.kind === 'station' ? 48 : 22) * size;
+    const light = (x, y, color, on) => {
+      if (!on) return;
+      p.fill(...color, alpha * 0.35);
+      p.ellipse(x, y, 9 * size);
+      p.fill(...color, Math.min(alpha * 1.3, 255));
+      p.ellipse(x, y, 3 * size);
+    };
+    p.noStroke();
+    light(-tip, 0, [255, 60, 60], cycle < 0.15);
+    light(tip, 0, [80, 255, 120], cycle < 0.15);
+    light(0, -14 * size, [255, 255, 255], cycle > navLightPeriod / 2 && cycle < navLightPeriod / 2 + 0.08);
+  }
+  
+  /**
+   * Draws an Iridium-style flare: the satellite brightens into a star with spikes and fades.
+   * @param {Object} sat - Satellite entry
+   * @param {number} age - Seconds since the flare started (drives the brightness)
+   * @param {number} intensity - Space zone intensity (0-1)
+   */
+  function drawSatelliteFlare(sat, age, intensity) {
+    const glow = Math.sin(p.PI * age / satelliteFlareDuration) * intensity;
+    const size = 10 + glow * 30;
+    p.push();
+    p.noStroke();
+    p.fill(255, 255, 240, 70 * glow);
+    p.ellipse(sat.x, sat.y, size * 2);
+    p.fill(255, 255, 250, 230 * glow);
+    p.ellipse(sat.x, sat.y, size * 0.45);
+    p.stroke(255, 255, 245, 160 * glow);
+    p.strokeWeight(1.2);
+    p.line(sat.x - size, sat.y, sat.x + size, sat.y);
+    p.line(sat.x, sat.y - size, sat.x, sat.y + size);
+    p.pop();
+  }
+  
+  /**
+   * Checks the meteor intensity setting.
+   * @param {*} value - Setting value (undefined for the default)
+   * @returns {number} Intensity from 0 (no meteors) to 5, 1 by default
+   */
+  function resolveMeteorIntensity(value) {
+    if (value === undefined || value === null || value === '') return 1;
+    const intensity = Number(value);
+    if (Number.isFinite(intensity) && intensity >= 0) return Math.min(intensity, 5);
+    console.warn(`MunchkinScene: invalid meteor intensity "${value}" (expected a number from 0 to 5)`);
+    return 1;
+  }
+  
+  /**
+   * Spawns lone meteors, counts down to the next event and releases a running shower.
+   * Only runs while the space zone is drawn, so events are spread over the time spent there.
+   */
+  function updateMeteorEvents() {
+    if (meteorIntensity <= 0) return;
+    if (p.random() < sporadicMeteorRate * meteorIntensity * clock.dt) launchMeteor('sporadic');
+    
+    meteorEventTimer -= clock.dt * meteorIntensity;
+    if (meteorEventTimer <= 0) {
+      meteorEventTimer = p.random(meteorQuietTime[0], meteorQuietTime[1]);
+      if (p.random() < fireballChance) {
+        launchMeteor('fireball');
+      } else {
+        startMeteorShower();
+      }
+    }
+    
+    if (meteorShower.remaining > 0) {
+      meteorShower.release += meteorShower.rate * clock.dt;
+      while (meteorShower.release >= 1 && meteorShower.remaining > 0) {
+        meteorShower.release--;
+        meteorShower.remaining--;
+        launchMeteor('shower');
+      }
+    }
+  }
+  
+  /**
+   * Starts a meteor shower from a new radiant point in the upper sky.
+   * @param {number} [count] - Number of meteors (20-50 scaled by the intensity by default)
+   */
+  function startMeteorShower(count) {
+    const size = count !== undefined ? count : p.random(meteorShowerSize[0], meteorShowerSize[1]) * Math.max(meteorIntensity, 0.5);
+    meteorShower.remaining = Math.round(p.constrain(size, 1, meteorPoolSize));
+    meteorShower.rate = meteorShower.remaining / meteorShowerDuration;
+    meteorShower.release = 1; // First meteor right away
+    meteorShower.radiantX = p.random(p.width * 0.2, p.width * 0.8);
+    meteorShower.radiantY = p.random(p.height * 0.1, p.height * 0.35);
+  }
+  
+  /**
+   * Takes a free meteor from the pool and sends it on its way.
+   * Lone meteors and fireballs cross the sky from the upper right; shower meteors shoot
+   * outward from the radiant point and burn out within a second or so.
+   * @param {string} kind - 'sporadic', 'fireball' or 'shower'
+   * @returns {Object|null} The meteor, or null if the whole pool is in flight
+   */
+  function launchMeteor(kind) {
+    const meteor = meteorites.find(candidate => !candidate.active);
+    if (!meteor) return null;
+    meteor.active = true;
+    meteor.kind = kind;
+    meteor.life = Infinity;
+    meteor.maxLife = Infinity;
+    
+    if (kind === 'shower') {
+      const angle = p.random(p.TWO_PI);
+      const speed = p.random(350, 650);
+      const start = p.random(20, 140);
+      meteor.x = meteorShower.radiantX + Math.cos(angle) * start;
+      meteor.y = meteorShower.radiantY + Math.sin(angle) * start;
+      meteor.speedX = Math.cos(angle) * speed;
+      meteor.speedY = Math.sin(angle) * speed;
+      meteor.size = p.random(1.5, 3);
+      meteor.brightness = p.random(180, 255);
+      meteor.trailLength = p.random(20, 35);
+      meteor.trailSeconds = 1 / 15;
+      meteor.life = p.random(0.5, 1.2);
+      meteor.maxLife = meteor.life;
+    } else if (kind === 'fireball') {
+      meteor.x = p.random(p.width * 0.6, p.width * 1.2);
+      meteor.y = p.random(-p.height * 0.2, 0);
+      meteor.speedX = p.random(-260, -160);
+      meteor.speedY = p.random(120, 200);
+      meteor.size = p.random(6, 9);
+      meteor.brightness = 255;
+      meteor.trailLength = p.random(90, 120);
+      meteor.trailSeconds = 1 / 3;
+    } else {
+      meteor.x = p.random(p.width * 0.5, p.width * 1.5);
+      meteor.y = p.random(-p.height * 0.5, p.height * 0.2);
+      meteor.speedX = p.random(-480, -240);
+      meteor.speedY = p.random(240, 480);
+      meteor.size = p.random(2, 4);
+      meteor.brightness = p.random(200, 255);
+      meteor.trailLength = p.random(30, 50);
+      meteor.trailSeconds = 1 / 30;
+    }
+    return meteor;
+  }
+  
+  /**
+   * Hidden shortcut: M starts a meteor shower (not while typing in a form field).
+   * @param {KeyboardEvent} event - keydown event
+   */
+  function handleMeteorKey(event) {
+    if (event.key !== 'm' && event.key !== 'M') return;
+    if (event.ctrlKey || event.metaKey || event.altKey || event.repeat) return;
+    const target = event.target;
+    if (target && (target.isContentEditable || (target.closest && target.closest('input, textarea, select')))) return;
+    startMeteorShower();
+  }
+  
+  /**
+   * Draws temporary constellation lines between the static stars closest to the pointer.
+   * Each star joins its nearest already-linked neighbour, giving a small branching figure.
+   * @param {number} intensity - Space zone intensity (0-1)
+   * @param {number} starCount - Number of stars drawn at the current quality tier
+   * @param {Object} shift - Parallax offset of the star layer { x, y }
+   */
+  function drawPointerConstellation(intensity, starCount, shift) {
+    const nearby = [];
+    for (let i = 0; i < starCount; i++) {
+      const star = stars[i];
+      if (star.isMoving) continue;
+      const distance = p.dist(star.x + shift.x, star.y + shift.y, pointer.x, pointer.y);
+      if (distance < constellationRadius) nearby.push({ star, distance });
+    }
+    nearby.sort((a, b) => a.distance - b.distance);
+    const linked = nearby.slice(0, maxConstellationStars);
+    
+    p.push();
+    p.translate(shift.x, shift.y);
+    p.strokeWeight(0.8);
+    for (let i = 1; i < linked.length; i++) {
+      let neighbour = linked[0];
+      let neighbourDistance = Infinity;
+      for (let j = 0; j < i; j++) {
+        const d = p.dist(linked[i].star.x, linked[i].star.y, linked[j].star.x, linked[j].star.y);
+        if (d < neighbourDistance) {
+          neighbour = linked[j];
+          neighbourDistance = d;
+        }
+      }
+      // Lines fade toward the edge of the pointer's reach
+      const fade = 1 - Math.max(linked[i].distance, neighbour.distance) / constellationRadius;
+      p.stroke(170, 200, 255, 180 * fade * intensity * constellationGlow);
+      p.line(linked[i].star.x, linked[i].star.y, neighbour.star.x, neighbour.star.y);
+    }
+    p.pop();
+  }
+  
+  /**
+   * Draws the named constellations: stars first, then the lines one after another, with the
+   * name fading in while the pointer is near. Coming back to the space zone after a while
+   * elsewhere draws them again from the start.
+   * @param {number} intensity - Space zone intensity (0-1)
+   * @param {Object} shift - Parallax offset of the star layer { x, y }
+   */
+  function drawNamedConstellations(intensity, shift) {
+    if (clock.time - constellationsSeenAt > 1) {
+      constellations.forEach((constellation, index) => {
+        constellation.drawn = -index * constellationStagger;
+        constellation.label = 0;
+      });
+    }
+    constellationsSeenAt = clock.time;
+    const scale = Math.min(p.width, p.height);
+    
+    p.push();
+    p.translate(shift.x, shift.y);
+    p.textFont('Rajdhani, sans-serif');
+    p.textAlign(p.CENTER, p.TOP);
+    p.textSize(14);
+    constellations.forEach(constellation => {
+      constellation.drawn = Math.min(constellation.drawn + clock.dt / constellationDrawTime, 1);
+      if (constellation.drawn <= 0) return;
       
-      // Right wing
-      p.beginShape();
-      p.vertex(10 * satSize, -2 * satSize);
-      p.vertex(18 * satSize, -6 * satSize);
-      p.vertex(22 * satSize, 0);
-      p.vertex(18 * satSize, 6 * satSize);
-      p.vertex(10 * satSize, 2 * satSize);
-      p.endShape(p.CLOSE);
+      const size = constellation.size * scale;
+      const left = constellation.at[0] * p.width;
+      const top = constellation.at[1] * p.height;
+      const points = constellation.stars.map(([x, y]) => ({ x: left + x * size, y: top + y * size }));
       
-      // Wing details (panel lines)
-      p.stroke(150, 150, 170, satAlpha * 0.7);
+      // Stars fade in over the first fifth of the drawing, the lines are traced over the rest
+      const starAlpha = p.constrain(constellation.drawn / 0.2, 0, 1) * 230 * intensity;
+      const traced = p.constrain((constellation.drawn - 0.2) / 0.8, 0, 1) * constellation.lines.length;
       p.strokeWeight(1);
-      p.noFill();
-      p.line(-14 * satSize, -4 * satSize, -14 * satSize, 4 * satSize);
-      p.line(14 * satSize, -4 * satSize, 14 * satSize, 4 * satSize);
-      
-      // Antenna (cartoon style - thicker)
-      p.stroke(160, 160, 180, satAlpha);
-      p.strokeWeight(2);
-      p.line(0, -7 * satSize, 0, -14 * satSize);
-      p.fill(220, 220, 240, satAlpha);
-      p.noStroke();
-      p.ellipse(0, -14 * satSize, 5 * satSize);
-      
-      // Small window/eye (cartoon detail)
-      p.fill(150, 200, 255, satAlpha * 0.8);
+      constellation.lines.forEach(([from, to], index) => {
+        const share = p.constrain(traced - index, 0, 1);
+        if (share <= 0) return;
+        const a = points[from];
+        const b = points[to];
+        p.stroke(170, 200, 255, 120 * intensity);
+        p.line(a.x, a.y, p.lerp(a.x, b.x, share), p.lerp(a.y, b.y, share));
+      });
       p.noStroke();
-      p.ellipse(0, -2 * satSize, 6 * satSize, 6 * satSize);
+      points.forEach(point => {
+        p.fill(200, 220, 255, starAlpha * 0.25);
+        p.ellipse(point.x, point.y, 9);
+        p.fill(255, 255, 255, starAlpha);
+        p.ellipse(point.x, point.y, 3.5);
+      });
       
-      p.pop();
-    }
+      // Name under the figure while the pointer is near it
+      const bottom = top + size * Math.max(...constellation.stars.map(([, y]) => y));
+      const hovered = pointer.active &&
+        pointer.x - shift.x > left - constellationHoverMargin && pointer.x - shift.x < left + size + constellationHoverMargin &&
+        pointer.y - shift.y > top - constellationHoverMargin && pointer.y - shift.y < bottom + constellationHoverMargin;
+      constellation.label = p.lerp(constellation.label, hovered ? 1 : 0, clock.damp(hovered ? 6 : 2));
+      if (constellation.label > 0.01) {
+        p.fill(210, 225, 255, 220 * constellation.label * intensity);
+        p.text(constellation.name, left + size / 2, bottom + 12);
+      }
+    });
+    p.pop();
   }
   
   /**
-   * Draws the rocket independently of zone intensity to prevent blinking.
+   * Draws the launch pad, the ignition smoke and the rocket. Drawn independently of zone
+   * intensity to prevent blinking. The flight is scrubbed by the scroll position: the path,
+   * the exhaust trail and the stage separation are all derived from the flight progress, so
+   * scrolling back flies the rocket back down with its trail still behind it. Once it has
+   * left the screen, the next rocket rolls out onto the pad when the visitor returns to the top.
+   * @param {Object} motion - Smoothed scroll motion { velocity, speed } (unused)
+   * @param {Object} zone - Zone weights of this frame, from calculateZone()
    */
-  function drawRocket() {
-    // Draw rocket (flies off screen before aurora)
-    // Keep rocket visible until it flies off screen - check flight progress only
-    const flightProgress = p.constrain(scrollProgress / 0.05, 0, 1); // Complete flight in first 5% of scroll (slower movement)
+  function drawRocket(motion, zone) {
+    const flightProgress = p.constrain((scrollProgress - rocketTiming.start) / (rocketTiming.end - rocketTiming.start), 0, 1); // Complete flight within the rocket's timeline span
+    updateRocketFlight(flightProgress);
+    const padAlpha = zone.space * 255;
+    
+    if (padAlpha > 1) drawLaunchPad(padAlpha);
+    
     // Stay visible as long as flight is in progress (don't check intensity to avoid blinking)
     // Use <= 0.999 to avoid floating point precision issues that could cause blinking
-    if (flightProgress <= 0.999) { // Stay visible until flight is complete
-      // Calculate rocket position - curved flight from lower left to right, exits before aurora
-      const targetX = p.width + 200; // Exit further off-screen right (stays visible longer)
-      const targetY = p.height * 0.3; // Exit on right side (not top)
-      
-      // Create curved trajectory using quadratic bezier curve
-      // Control point creates a pronounced bow/arc shape
-      // Position control point to create a clear outward-bowing arc
-      const controlX = p.width * 0.5; // Control point X (centered for symmetric bow)
-      const controlY = p.height * 0.2; // Control point Y (higher up to create upward bow)
-      
-      // Calculate position on bezier curve
-      const t = flightProgress;
-      const oneMinusT = 1 - t;
-      
-      // Standard bezier curve calculation for smooth bow shape
-      const newX = oneMinusT * oneMinusT * rocket.startX + 
-                   2 * oneMinusT * t * controlX + 
-                   t * t * targetX;
-      const newY = oneMinusT * oneMinusT * rocket.startY + 
-                   2 * oneMinusT * t * controlY + 
-                   t * t * targetY;
-      
-      // Add slight horizontal acceleration towards the end (but keep the bow shape)
-      const horizontalBoost = t * t; // Quadratic easing for gentle end acceleration
-      const finalX = p.lerp(newX, targetX, horizontalBoost * 0.15); // Small boost to maintain bow
-      
-      // Calculate direction of travel (point rocket in direction it's moving)
-      // Store previous position before updating
-      rocket.prevX = rocket.x;
-      rocket.prevY = rocket.y;
-      
-      // Update position
-      rocket.x = finalX;
-      rocket.y = newY;
+    if (!rocket.completed && flightProgress <= 0.999) {
+      const position = rocketPathPoint(flightProgress);
+      const ahead = rocketPathPoint(Math.min(flightProgress + 0.002, 1));
+      const behind = rocketPathPoint(Math.max(flightProgress - 0.002, 0));
+      // Rollout: the relaunched rocket rises from below the pad
+      const rolloutDrop = (1 - zoneEasings.easeOutSine(rocket.rollout)) * rocket.scale * 90;
+      rocket.x = position.x;
+      rocket.y = position.y + rolloutDrop;
+      // Nose along the path (also while scrubbing backwards); straight up on the pad
+      rocket.angle = flightProgress > 0 ? p.atan2(ahead.y - behind.y, ahead.x - behind.x) + p.PI / 2 : 0;
       
-      // Calculate direction based on actual movement (works for both forward and backward)
-      let dx = rocket.x - rocket.prevX;
-      let dy = rocket.y - rocket.prevY;
-      
-      // If rocket hasn't moved yet (first frame or very small movement), use bezier derivative
-      if (Math.abs(dx) < 0.1 && Math.abs(dy) < 0.1) {
-        dx = 2 * oneMinusT * (controlX - rocket.startX) + 2 * t * (targetX - controlX);
-        dy = 2 * oneMinusT * (controlY - rocket.startY) + 2 * t * (targetY - controlY);
-      }
-      
-      // Use atan2 to get angle, add PI/2 because rocket points up (negative Y) by default
-      rocket.angle = p.atan2(dy, dx) + p.PI / 2;
-      
-      // Update exhaust trail
-      rocket.trail.push({ x: rocket.x, y: rocket.y, life: 1.0 });
-      // Remove old trail points
-      rocket.trail = rocket.trail.filter(point => {
-        point.life -= 0.05;
-        return point.life > 0;
-      });
-      
-      // Calculate alpha - keep fully visible throughout flight, no fading
-      // Keep at full brightness to avoid any blinking
-      const rocketAlpha = 255;
-      
-      // Draw exhaust trail first (so it appears behind)
-      p.push();
-      rocket.trail.forEach((point, index) => {
-        const trailAlpha = point.life * rocketAlpha * 0.6;
-        const trailSize = point.life * 15;
-        p.fill(255, 100, 0, trailAlpha);
-        p.noStroke();
-        p.ellipse(point.x, point.y, trailSize, trailSize * 0.5);
-      });
-      p.pop();
+      drawRocketTrail(flightProgress);
+      drawSpentBooster(flightProgress);
       
       // Draw rocket - modern sleek design
       p.push();
       p.translate(rocket.x, rocket.y);
       p.rotate(rocket.angle);
-      
-      const rocketSize = 2.6; // Increased scale multiplier
-      const bodyLength = 60 * rocketSize;
-      const bodyWidth = 16 * rocketSize;
-      
-      // Main body - sleek cylindrical shape with contrast
-      // Base body color (lighter)
-      p.fill(250, 250, 255, rocketAlpha);
-      p.stroke(200, 200, 210, rocketAlpha);
-      p.strokeWeight(1.5);
-      
-      // Body cylinder
-      p.ellipse(0, -bodyLength * 0.3, bodyWidth, bodyLength * 0.6);
-      p.rect(-bodyWidth/2, -bodyLength * 0.3, bodyWidth, bodyLength * 0.6);
-      
-      // Darker contrast band in middle section
-      p.fill(200, 200, 210, rocketAlpha);
-      p.noStroke();
-      p.rect(-bodyWidth/2, -bodyLength * 0.1, bodyWidth, bodyLength * 0.15);
-      p.ellipse(0, -bodyLength * 0.025, bodyWidth, bodyLength * 0.15);
-      
-      // Highlight on top section
-      p.fill(255, 255, 255, rocketAlpha);
-      p.rect(-bodyWidth/2, -bodyLength * 0.3, bodyWidth, bodyLength * 0.2);
-      p.ellipse(0, -bodyLength * 0.2, bodyWidth, bodyLength * 0.2);
-      
-      // Pointed nose cone - sleek and modern with contrast
-      p.fill(255, 255, 255, rocketAlpha);
-      p.stroke(200, 200, 210, rocketAlpha);
-      p.strokeWeight(1.5);
-      p.beginShape();
-      p.vertex(0, -bodyLength * 0.5);
-      p.vertex(-bodyWidth * 0.4, -bodyLength * 0.2);
-      p.vertex(-bodyWidth * 0.5, 0);
-      p.vertex(0, bodyLength * 0.1);
-      p.vertex(bodyWidth * 0.5, 0);
-      p.vertex(bodyWidth * 0.4, -bodyLength * 0.2);
-      p.endShape(p.CLOSE);
-      
-      // Darker nose tip for contrast
-      p.fill(220, 220, 230, rocketAlpha);
-      p.noStroke();
-      p.beginShape();
-      p.vertex(0, -bodyLength * 0.5);
-      p.vertex(-bodyWidth * 0.3, -bodyLength * 0.3);
-      p.vertex(0, -bodyLength * 0.35);
-      p.vertex(bodyWidth * 0.3, -bodyLength * 0.3);
-      p.endShape(p.CLOSE);
-      
-      // Engine section at bottom - darker for contrast
-      p.fill(180, 180, 190, rocketAlpha);
-      p.stroke(150, 150, 160, rocketAlpha);
-      p.strokeWeight(1.5);
-      p.rect(-bodyWidth/2, bodyLength * 0.3, bodyWidth, bodyLength * 0.2);
-      p.ellipse(0, bodyLength * 0.4, bodyWidth, bodyLength * 0.2);
-      
-      // Panel lines for detail with better contrast
-      p.stroke(150, 150, 160, rocketAlpha * 0.8);
-      p.strokeWeight(1);
-      p.noFill();
-      p.line(-bodyWidth/2, -bodyLength * 0.3, -bodyWidth/2, bodyLength * 0.3);
-      p.line(bodyWidth/2, -bodyLength * 0.3, bodyWidth/2, bodyLength * 0.3);
-      p.line(0, -bodyLength * 0.3, 0, bodyLength * 0.3);
-      
-      // Additional horizontal panel lines for more contrast
-      p.stroke(160, 160, 170, rocketAlpha * 0.6);
-      p.strokeWeight(0.8);
-      p.line(-bodyWidth/2, -bodyLength * 0.1, bodyWidth/2, -bodyLength * 0.1);
-      p.line(-bodyWidth/2, bodyLength * 0.1, bodyWidth/2, bodyLength * 0.1);
-      
-      // Small window/port
-      p.fill(150, 200, 255, rocketAlpha * 0.8);
-      p.noStroke();
-      p.ellipse(0, -bodyLength * 0.15, bodyWidth * 0.4, bodyWidth * 0.4);
-      p.fill(200, 230, 255, rocketAlpha * 0.5);
-      p.ellipse(0, -bodyLength * 0.15, bodyWidth * 0.25, bodyWidth * 0.25);
-      
-      // Wings - sleek and modern
-      p.fill(240, 240, 250, rocketAlpha);
-      p.stroke(200, 200, 210, rocketAlpha);
-      p.strokeWeight(1.5);
-      
-      // Left wing
-      p.beginShape();
-      p.vertex(-bodyWidth/2, bodyLength * 0.1);
-      p.vertex(-bodyWidth * 0.8, bodyLength * 0.25);
-      p.vertex(-bodyWidth * 0.6, bodyLength * 0.3);
-      p.vertex(-bodyWidth * 0.4, bodyLength * 0.2);
-      p.endShape(p.CLOSE);
-      
-      // Right wing
-      p.beginShape();
-      p.vertex(bodyWidth/2, bodyLength * 0.1);
-      p.vertex(bodyWidth * 0.8, bodyLength * 0.25);
-      p.vertex(bodyWidth * 0.6, bodyLength * 0.3);
-      p.vertex(bodyWidth * 0.4, bodyLength * 0.2);
-      p.endShape(p.CLOSE);
-      
-      // Wing details
-      p.stroke(180, 180, 190, rocketAlpha * 0.6);
-      p.strokeWeight(0.8);
-      p.noFill();
-      p.line(-bodyWidth * 0.6, bodyLength * 0.25, -bodyWidth * 0.4, bodyLength * 0.2);
-      p.line(bodyWidth * 0.6, bodyLength * 0.25, bodyWidth * 0.4, bodyLength * 0.2);
-      
-      // Flame exhaust - animated and vibrant
-      const exhaustOffset = p.sin(p.frameCount * 0.3) * 2;
-      const exhaustLength = 25 + p.sin(p.frameCount * 0.4) * 8;
-      const exhaustWidth = bodyWidth * 0.7;
-      
-      // Outer flame (orange/red)
-      p.fill(255, 80, 0, rocketAlpha * 0.9);
-      p.noStroke();
-      p.beginShape();
-      p.vertex(-exhaustWidth/2, bodyLength * 0.4);
-      p.vertex(-exhaustWidth * 0.35 + exhaustOffset, bodyLength * 0.4 + exhaustLength);
-      p.vertex(0, bodyLength * 0.4 + exhaustLength * 1.2);
-      p.vertex(exhaustWidth * 0.35 - exhaustOffset, bodyLength * 0.4 + exhaustLength);
-      p.vertex(exhaustWidth/2, bodyLength * 0.4);
-      p.endShape(p.CLOSE);
-      
-      // Middle flame (yellow-orange)
-      p.fill(255, 150, 0, rocketAlpha * 0.85);
-      p.beginShape();
-      p.vertex(-exhaustWidth * 0.3, bodyLength * 0.4);
-      p.vertex(-exhaustWidth * 0.2 + exhaustOffset * 0.6, bodyLength * 0.4 + exhaustLength * 0.7);
-      p.vertex(0, bodyLength * 0.4 + exhaustLength * 0.9);
-      p.vertex(exhaustWidth * 0.2 - exhaustOffset * 0.6, bodyLength * 0.4 + exhaustLength * 0.7);
-      p.vertex(exhaustWidth * 0.3, bodyLength * 0.4);
-      p.endShape(p.CLOSE);
-      
-      // Inner flame (bright yellow-white)
-      p.fill(255, 220, 150, rocketAlpha * 0.8);
-      p.beginShape();
-      p.vertex(-exhaustWidth * 0.2, bodyLength * 0.4);
-      p.vertex(0, bodyLength * 0.4 + exhaustLength * 0.5);
-      p.vertex(exhaustWidth * 0.2, bodyLength * 0.4);
-      p.endShape(p.CLOSE);
-      
-      // Exhaust particles
-      for (let i = 0; i < 4; i++) {
-        const particleX = p.random(-exhaustWidth * 0.4, exhaustWidth * 0.4);
-        const particleY = bodyLength * 0.4 + p.random(8, exhaustLength * 0.9);
-        const particleSize = p.random(2, 4);
-        const particleAlpha = p.random(150, 255) * (rocketAlpha / 255);
-        p.fill(255, p.random(100, 200), 0, particleAlpha);
-        p.ellipse(particleX, particleY, particleSize);
+      const bodyLength = 60 * rocket.scale;
+      const bodyWidth = 16 * rocket.scale;
+      const design = rocketDesigns[rocket.design];
+      const staged = flightProgress >= stageSeparationAt;
+      if (!staged) drawRocketBooster(design, bodyLength, bodyWidth, 255);
+      drawRocketBody(design, bodyLength, bodyWidth, 255);
+      if (rocket.thrust > 0.02) {
+        const nozzleY = staged ? bodyLength * 0.4 : bodyLength * 0.95;
+        drawRocketFlame(nozzleY, bodyWidth * (staged ? 0.7 : 0.8), bodyLength, rocket.thrust, 255 * Math.min(rocket.thrust * 2.5, 1));
       }
-      
       p.pop();
     }
+    
+    updateRocketSmoke(flightProgress, padAlpha);
+  }
+  
+  /**
+   * Advances the launch state: engine power, completed flights, relaunches and the rollout.
+   * @param {number} flightProgress - Current flight progress (0-1)
+   */
+  function updateRocketFlight(flightProgress) {
+    // Mid-flight the engine burns harder the faster the flight is scrubbed (in either direction)
+    const flightSpeed = clock.dt > 0 ? Math.abs(flightProgress - rocket.progress) / clock.dt : 0;
+    const burning = !rocket.completed && flightProgress > 0 && flightProgress < 1;
+    const thrustTarget = burning ? 0.4 + 0.6 * Math.min(flightSpeed / fullThrustSpeed, 1) : 0;
+    rocket.thrust = p.lerp(rocket.thrust, thrustTarget, clock.damp(4));
+    rocket.progress = flightProgress;
+    
+    if (flightProgress > 0.999) {
+      rocket.completed = true;
+    } else if (rocket.completed && flightProgress <= 0) {
+      // Back at the top: roll out a fresh rocket
+      rocket.completed = false;
+      rocket.rollout = 0;
+      rocket.thrust = 0;
+      if (rocket.cycleDesigns) {
+        const names = Object.keys(rocketDesigns);
+        rocket.design = names[(names.indexOf(rocket.design) + 1) % names.length];
+      }
+    }
+    rocket.rollout = Math.min(rocket.rollout + clock.dt / rocketRolloutTime, 1);
+  }
+  
+  /**
+   * Position of the rocket's centre along its flight: a vertical climb off the pad, then a
+   * curve bowing up and out to the right of the screen.
+   * @param {number} t - Flight progress (0-1)
+   * @returns {Object} { x, y }
+   */
+  function rocketPathPoint(t) {
+    const standingY = rocket.padY - 60 * rocket.scale * 0.95; // Booster resting on the deck
+    const climbTopY = p.height * 0.55;
+    if (t <= rocketLiftoffEnd) {
+      const climb = t / rocketLiftoffEnd;
+      return { x: rocket.padX, y: p.lerp(standingY, climbTopY, climb * climb) }; // Slow to leave the pad
+    }
+    
+    // Quadratic bezier; the control point above the pad keeps the climb vertical at first
+    const u = (t - rocketLiftoffEnd) / (1 - rocketLiftoffEnd);
+    const oneMinusU = 1 - u;
+    const controlX = rocket.padX;
+    const controlY = p.height * 0.1;
+    const targetX = p.width + 250; // Exit off-screen right
+    const targetY = p.height * 0.25;
+    return {
+      x: oneMinusU * oneMinusU * rocket.padX + 2 * oneMinusU * u * controlX + u * u * targetX,
+      y: oneMinusU * oneMinusU * climbTopY + 2 * oneMinusU * u * controlY + u * u * targetY
+    };
+  }
+  
+  /**
+   * Draws the exhaust trail along the path already flown, thinning into grey smoke.
+   * Sampled from the path behind the rocket, so it shortens when the flight is scrubbed back.
+   * @param {number} flightProgress - Current flight progress (0-1)
+   */
+  function drawRocketTrail(flightProgress) {
+    const samples = 28;
+    const spacing = 0.007; // Flight progress between samples
+    p.push();
+    p.noStroke();
+    for (let i = 1; i <= samples; i++) {
+      const t = flightProgress - i * spacing;
+      if (t <= 0) break;
+      const point = rocketPathPoint(t);
+      const age = i / samples;
+      const trailAlpha = (1 - age) * rocket.thrust * 160;
+      const trailSize = (6 + age * 20) * (rocket.scale / 2.6);
+      p.fill(p.lerp(255, 200, age), p.lerp(100, 195, age), p.lerp(0, 190, age), trailAlpha);
+      p.ellipse(point.x, point.y, trailSize, trailSize * 0.7);
+    }
+    p.pop();
+  }
+  
+  /**
+   * Draws the booster after stage separation, tumbling away from the separation point with a
+   * puff of vapour. Like the path, it is a function of the flight progress, so scrolling back
+   * before the separation docks it again.
+   * @param {number} flightProgress - Current flight progress (0-1)
+   */
+  function drawSpentBooster(flightProgress) {
+    if (flightProgress < stageSeparationAt) return;
+    const fall = (flightProgress - stageSeparationAt) / (1 - stageSeparationAt) * 3; // Pseudo-seconds since separation
+    const bodyLength = 60 * rocket.scale;
+    const bodyWidth = 16 * rocket.scale;
+    const separation = rocketPathPoint(stageSeparationAt);
+    const before = rocketPathPoint(stageSeparationAt - 0.002);
+    const angle = p.atan2(separation.y - before.y, separation.x - before.x) + p.PI / 2;
+    
+    // Booster centre at the moment of separation, then drifting back and dropping
+    const dockX = separation.x - Math.sin(angle) * bodyLength * 0.72;
+    const dockY = separation.y + Math.cos(angle) * bodyLength * 0.72;
+    const x = dockX - Math.sin(angle) * fall * 40;
+    const y = dockY + Math.cos(angle) * fall * 40 + fall * fall * 60;
+    const alpha = 255 * p.constrain(1 - fall / 3, 0, 1);
+    
+    p.push();
+    if (fall < 0.6) {
+      // Vapour puff at the interstage
+      p.noStroke();
+      p.fill(235, 235, 240, 180 * (1 - fall / 0.6));
+      p.ellipse(separation.x - Math.sin(angle) * bodyLength * 0.5, separation.y + Math.cos(angle) * bodyLength * 0.5, bodyWidth * (1.5 + fall * 4));
+    }
+    p.translate(x, y);
+    p.rotate(angle + fall * 0.9);
+    p.translate(0, -bodyLength * 0.72); // The booster is drawn in the rocket's frame
+    drawRocketBooster(rocketDesigns[rocket.design], bodyLength, bodyWidth, alpha);
+    p.pop();
+  }
+  
+  /**
+   * Draws the first stage below the rocket's engine section, in the rocket's frame
+   * (origin at the centre of the upper stage, nose up).
+   * @param {Object} design - Rocket design
+   * @param {number} bodyLength - Upper stage length (px)
+   * @param {number} bodyWidth - Upper stage width (px)
+   * @param {number} alpha - Opacity (0-255)
+   */
+  function drawRocketBooster(design, bodyLength, bodyWidth, alpha) {
+    const top = bodyLength * 0.5;
+    const bottom = bodyLength * 0.95;
+    const width = bodyWidth * 0.9;
+    p.push();
+    p.fill(...design.booster, alpha);
+    p.stroke(...design.outline, alpha);
+    p.strokeWeight(1.5);
+    p.rect(-width / 2, top, width, bottom - top);
+    
+    // Interstage ring and nozzle
+    p.fill(...design.engine, alpha);
+    p.rect(-width / 2, top, width, bodyLength * 0.05);
+    p.rect(-width * 0.35, bottom - bodyLength * 0.03, width * 0.7, bodyLength * 0.05);
+    
+    // Small stabiliser fins
+    p.fill(...design.wings, alpha);
+    p.triangle(-width / 2, bottom - bodyLength * 0.15, -width * 0.85, bottom, -width / 2, bottom);
+    p.triangle(width / 2, bottom - bodyLength * 0.15, width * 0.85, bottom, width / 2, bottom);
+    p.pop();
+  }
+  
+  /**
+   * Draws the upper stage (body, nose cone, engine section and wings) in the rocket's frame.
+   * @param {Object} design - Rocket design
+   * @param {number} bodyLength - Body length (px)
+   * @param {number} bodyWidth - Body width (px)
+   * @param {number} alpha - Opacity (0-255)
+   */
+  function drawRocketBody(design, bodyLength, bodyWidth, alpha) {
+    const fin = design.finScale;
+    
+    // Main body - sleek cylindrical shape with contrast
+    // Base body color (lighter)
+    p.fill(...design.hull, alpha);
+    p.stroke(...design.outline, alpha);
+    p.strokeWeight(1.5);
+    
+    // Body cylinder
+    p.ellipse(0, -bodyLength * 0.3, bodyWidth, bodyLength * 0.6);
+    p.rect(-bodyWidth/2, -bodyLength * 0.3, bodyWidth, bodyLength * 0.6);
+    
+    // Darker contrast band in middle section
+    p.fill(...design.band, alpha);
+    p.noStroke();
+    p.rect(-bodyWidth/2, -bodyLength * 0.1, bodyWidth, bodyLength * 0.15);
+    p.ellipse(0, -bodyLength * 0.025, bodyWidth, bodyLength * 0.15);
+    
+    // Highlight on top section
+    p.fill(...design.highlight, alpha);
+    p.rect(-bodyWidth/2, -bodyLength * 0.3, bodyWidth, bodyLength * 0.2);
+    p.ellipse(0, -bodyLength * 0.2, bodyWidth, bodyLength * 0.2);
+    
+    // Pointed nose cone - sleek and modern with contrast
+    p.fill(...design.nose, alpha);
+    p.stroke(...design.outline, alpha);
+    p.strokeWeight(1.5);
+    p.beginShape();
+    p.vertex(0, -bodyLength * 0.5);
+    p.vertex(-bodyWidth * 0.4, -bodyLength * 0.2);
+    p.vertex(-bodyWidth * 0.5, 0);
+    p.vertex(0, bodyLength * 0.1);
+    p.vertex(bodyWidth * 0.5, 0);
+    p.vertex(bodyWidth * 0.4, -bodyLength * 0.2);
+    p.endShape(p.CLOSE);
+    
+    // Darker nose tip for contrast
+    p.fill(...design.noseTip, alpha);
+    p.noStroke();
+    p.beginShape();
+    p.vertex(0, -bodyLength * 0.5);
+    p.vertex(-bodyWidth * 0.3, -bodyLength * 0.3);
+    p.vertex(0, -bodyLength * 0.35);
+    p.vertex(bodyWidth * 0.3, -bodyLength * 0.3);
+    p.endShape(p.CLOSE);
+    
+    // Engine section at bottom - darker for contrast
+    p.fill(...design.engine, alpha);
+    p.stroke(...design.panel, alpha);
+    p.strokeWeight(1.5);
+    p.rect(-bodyWidth/2, bodyLength * 0.3, bodyWidth, bodyLength * 0.2);
+    p.ellipse(0, bodyLength * 0.4, bodyWidth, bodyLength * 0.2);
+    
+    // Panel lines for detail with better contrast
+    p.stroke(...design.panel, alpha * 0.8);
+    p.strokeWeight(1);
+    p.noFill();
+    p.line(-bodyWidth/2, -bodyLength * 0.3, -bodyWidth/2, bodyLength * 0.3);
+    p.line(bodyWidth/2, -bodyLength * 0.3, bodyWidth/2, bodyLength * 0.3);
+    p.line(0, -bodyLength * 0.3, 0, bodyLength * 0.3);
+    
+    // Additional horizontal panel lines for more contrast
+    p.stroke(...design.panel, alpha * 0.6);
+    p.strokeWeight(0.8);
+    p.line(-bodyWidth/2, -bodyLength * 0.1, bodyWidth/2, -bodyLength * 0.1);
+    p.line(-bodyWidth/2, bodyLength * 0.1, bodyWidth/2, bodyLength * 0.1);
+    
+    // Small window/port
+    p.fill(...design.window, alpha * 0.8);
+    p.noStroke();
+    p.ellipse(0, -bodyLength * 0.15, bodyWidth * 0.4, bodyWidth * 0.4);
+    p.fill(255, 255, 255, alpha * 0.5);
+    p.ellipse(0, -bodyLength * 0.15, bodyWidth * 0.25, bodyWidth * 0.25);
+    
+    // Wings - sleek and modern
+    p.fill(...design.wings, alpha);
+    p.stroke(...design.outline, alpha);
+    p.strokeWeight(1.5);
+    
+    // Left wing
+    p.beginShape();
+    p.vertex(-bodyWidth/2, bodyLength * 0.1);
+    p.vertex(-bodyWidth * 0.8 * fin, bodyLength * 0.25 * fin);
+    p.vertex(-bodyWidth * 0.6 * fin, bodyLength * 0.3 * fin);
+    p.vertex(-bodyWidth * 0.4, bodyLength * 0.2);
+    p.endShape(p.CLOSE);
+    
+    // Right wing
+    p.beginShape();
+    p.vertex(bodyWidth/2, bodyLength * 0.1);
+    p.vertex(bodyWidth * 0.8 * fin, bodyLength * 0.25 * fin);
+    p.vertex(bodyWidth * 0.6 * fin, bodyLength * 0.3 * fin);
+    p.vertex(bodyWidth * 0.4, bodyLength * 0.2);
+    p.endShape(p.CLOSE);
+    
+    // Wing details
+    p.stroke(...design.outline, alpha * 0.6);
+    p.strokeWeight(0.8);
+    p.noFill();
+    p.line(-bodyWidth * 0.6 * fin, bodyLength * 0.25 * fin, -bodyWidth * 0.4, bodyLength * 0.2);
+    p.line(bodyWidth * 0.6 * fin, bodyLength * 0.25 * fin, bodyWidth * 0.4, bodyLength * 0.2);
+  }
+  
+  /**
+   * Draws the animated engine flame in the rocket's frame.
+   * @param {number} nozzleY - Nozzle position below the rocket's centre (px)
+   * @param {number} exhaustWidth - Flame width at the nozzle (px)
+   * @param {number} bodyLength - Rocket body length (px)
+   * @param {number} power - Engine power (0-1), lengthens the flame
+   * @param {number} alpha - Opacity (0-255)
+   */
+  function drawRocketFlame(nozzleY, exhaustWidth, bodyLength, power, alpha) {
+    const exhaustOffset = p.sin(clock.time * 18) * 2;
+    const exhaustLength = (25 + p.sin(clock.time * 24) * 8) * (0.4 + power * 0.6);
+    
+    // Outer flame (orange/red)
+    p.fill(255, 80, 0, alpha * 0.9);
+    p.noStroke();
+    p.beginShape();
+    p.vertex(-exhaustWidth/2, nozzleY);
+    p.vertex(-exhaustWidth * 0.35 + exhaustOffset, nozzleY + exhaustLength);
+    p.vertex(0, nozzleY + exhaustLength * 1.2);
+    p.vertex(exhaustWidth * 0.35 - exhaustOffset, nozzleY + exhaustLength);
+    p.vertex(exhaustWidth/2, nozzleY);
+    p.endShape(p.CLOSE);
+    
+    // Middle flame (yellow-orange)
+    p.fill(255, 150, 0, alpha * 0.85);
+    p.beginShape();
+    p.vertex(-exhaustWidth * 0.3, nozzleY);
+    p.vertex(-exhaustWidth * 0.2 + exhaustOffset * 0.6, nozzleY + exhaustLength * 0.7);
+    p.vertex(0, nozzleY + exhaustLength * 0.9);
+    p.vertex(exhaustWidth * 0.2 - exhaustOffset * 0.6, nozzleY + exhaustLength * 0.7);
+    p.vertex(exhaustWidth * 0.3, nozzleY);
+    p.endShape(p.CLOSE);
+    
+    // Inner flame (bright yellow-white)
+    p.fill(255, 220, 150, alpha * 0.8);
+    p.beginShape();
+    p.vertex(-exhaustWidth * 0.2, nozzleY);
+    p.vertex(0, nozzleY + exhaustLength * 0.5);
+    p.vertex(exhaustWidth * 0.2, nozzleY);
+    p.endShape(p.CLOSE);
+    
+    // Exhaust particles
+    for (let i = 0; i < Math.round(4 * power); i++) {
+      const particleX = p.random(-exhaustWidth * 0.4, exhaustWidth * 0.4);
+      const particleY = nozzleY + p.random(8, exhaustLength * 0.9);
+      const particleSize = p.random(2, 4);
+      const particleAlpha = p.random(150, 255) * (alpha / 255);
+      p.fill(255, p.random(100, 200), 0, particleAlpha);
+      p.ellipse(particleX, particleY, particleSize);
+    }
+  }
+  
+  /**
+   * Draws the launch pad: a lattice tower beside the rocket and the deck it stands on.
+   * @param {number} alpha - Opacity (0-255), following the space zone
+   */
+  function drawLaunchPad(alpha) {
+    const unit = rocket.scale / 2.6; // 1 at the full rocket size
+    const deckWidth = 110 * unit;
+    const towerX = rocket.padX - 60 * unit; // Clear of the widest wings
+    const towerTop = rocket.padY - 60 * rocket.scale * 1.55; // Level with the nose
+    
+    p.push();
+    // Lattice tower
+    p.stroke(120, 125, 140, alpha);
+    p.strokeWeight(1.5);
+    p.noFill();
+    p.line(towerX - 8 * unit, towerTop, towerX - 8 * unit, rocket.padY);
+    p.line(towerX + 8 * unit, towerTop, towerX + 8 * unit, rocket.padY);
+    for (let y = towerTop; y < rocket.padY - 12 * unit; y += 16 * unit) {
+      p.line(towerX - 8 * unit, y, towerX + 8 * unit, y + 16 * unit);
+      p.line(towerX + 8 * unit, y, towerX - 8 * unit, y + 16 * unit);
+    }
+    // Umbilical arm, swung back once the rocket is gone or flying
+    const armReach = (rocket.completed || rocket.progress > 0) ? 4 * unit : 34 * unit * rocket.rollout;
+    p.line(towerX + 8 * unit, towerTop + 30 * unit, towerX + 8 * unit + armReach, towerTop + 30 * unit);
+    // Warning light on top
+    p.noStroke();
+    p.fill(255, 70, 60, alpha * (0.5 + 0.5 * p.sin(clock.time * 3)));
+    p.ellipse(towerX, towerTop - 4 * unit, 6 * unit);
+    
+    // Deck and flame trench
+    p.fill(80, 84, 98, alpha);
+    p.rect(rocket.padX - deckWidth / 2, rocket.padY, deckWidth, 10 * unit);
+    p.fill(40, 42, 52, alpha);
+    p.rect(rocket.padX - deckWidth * 0.2, rocket.padY + 10 * unit, deckWidth * 0.4, p.height - rocket.padY);
+    p.pop();
+  }
+  
+  /**
+   * Emits smoke at the pad while the rocket ignites and climbs away (a thin vapour while it
+   * waits), then drifts, grows and fades the puffs. Particles come from a fixed pool.
+   * @param {number} flightProgress - Current flight progress (0-1)
+   * @param {number} padAlpha - Pad visibility (0-255)
+   */
+  function updateRocketSmoke(flightProgress, padAlpha) {
+    let rate = 0; // Puffs per second
+    if (!rocket.completed && flightProgress < rocketLiftoffEnd * 1.5) {
+      rate = flightProgress > 0 ? 40 * rocket.thrust * (1 - flightProgress / (rocketLiftoffEnd * 1.5)) : 2;
+    }
+    rocket.smokeRelease = Math.min(rocket.smokeRelease + rate * clock.dt, 4);
+    while (rocket.smokeRelease >= 1) {
+      rocket.smokeRelease--;
+      const puff = rocketSmoke.find(candidate => !candidate.active);
+      if (!puff) break;
+      const ignition = flightProgress > 0;
+      puff.active = true;
+      puff.x = rocket.padX + p.random(-10, 10);
+      puff.y = rocket.padY - p.random(0, 10);
+      puff.speedX = p.random(-1, 1) * (ignition ? 90 : 15); // px/s, billowing sideways along the ground
+      puff.speedY = p.random(-35, -5);
+      puff.size = p.random(14, 24) * (ignition ? 1.5 : 0.6);
+      puff.maxLife = p.random(rocketSmokeLife[0], rocketSmokeLife[1]);
+      puff.life = puff.maxLife;
+    }
+    
+    p.push();
+    p.noStroke();
+    rocketSmoke.forEach(puff => {
+      if (!puff.active) return;
+      puff.life -= clock.dt;
+      if (puff.life <= 0) {
+        puff.active = false;
+        return;
+      }
+      puff.x += puff.speedX * clock.dt;
+      puff.y += puff.speedY * clock.dt;
+      puff.speedX *= 1 - clock.damp(0.8); // Slows as it spreads
+      puff.size += 22 * clock.dt;
+      const fade = puff.life / puff.maxLife;
+      p.fill(225, 225, 230, 110 * fade * (padAlpha / 255));
+      p.ellipse(puff.x, puff.y, puff.size);
+    });
+    p.pop();
+  }
+  
+  /**
+   * Checks a rocket design name.
+   * @param {string} name - Design name (undefined for the default)
+   * @returns {string} The name, or 'classic' if it is missing or unknown
+   */
+  function resolveRocketDesign(name) {
+    if (name === undefined || name === null || name === '') return 'classic';
+    if (Object.hasOwn(rocketDesigns, name)) return name;
+    console.warn(`MunchkinScene: unknown rocket design "${name}" (expected ${Object.keys(rocketDesigns).join(', ')} or cycle)`);
+    return 'classic';
   }
   
   /**
@@ -1000,13 +2615,20 @@ const immersiveScroll = (p) => {
     const w = p.width;
     const h = p.height;
     
+    // Step the L-system on the scene clock while the aurora is on screen
+    auroraStepTimer += clock.dt;
+    if (auroraStepTimer >= auroraStepInterval) {
+      auroraStepTimer -= auroraStepInterval;
+      generateAuroraSentence();
+    }
+    
     // Draw aurora waves
     const baseHeight = h * 0.5 - maxWaveHeight;
     const baselineOffsets = [];
     const secondWaveOffsets = [];
     
-    // Increased sample step for better performance (was 15, now 20)
-    const sampleStep = 20;
+    // Sample step from the quality tier (20 at high quality)
+    const sampleStep = quality.auroraSampleStep;
     
     for (let i = 0; i < w; i += sampleStep) {
       const waveOffset = p.noise(i * noiseScale, yPosNoiseOffset) * maxWaveHeight + 
@@ -1019,6 +2641,9 @@ const immersiveScroll = (p) => {
     
     // Draw aurora waves with L-system based stroke weights
     // Optimized: reduce vertical sampling and limit line drawing
+    const auroraShift = parallaxOffset(parallaxDepths.aurora);
+    p.push();
+    p.translate(auroraShift.x, auroraShift.y);
     for (let i = 0; i < baselineOffsets.length; i++) {
       const x = i * sampleStep;
       const baseY = baselineOffsets[i];
@@ -1079,20 +2704,19 @@ const immersiveScroll = (p) => {
         }
       }
     }
+    p.pop();
     
     // Draw enhanced twinkling stars (aurora style)
-    // Optimized: only update stars every other frame
     p.push();
+    const auroraStarCount = activeCount(auroraStars);
     auroraStars.forEach((star, index) => {
-      // Update star lifespan less frequently (every other frame)
-      if (p.frameCount % 2 === 0 || index % 2 === 0) {
-        star.lifespan -= 0.5;
-        if (star.lifespan <= 0) {
-          star.lifespan = p.random(200, 300);
-          star.x = p.random(p.width);
-          star.y = p.random(p.height * 0.6, p.height);
-          star.brightness = p.random(150, 255);
-        }
+      if (index >= auroraStarCount) return;
+      star.lifespan -= auroraStarBurnRate * clock.dt;
+      if (star.lifespan <= 0) {
+        star.lifespan = p.random(200, 300);
+        star.x = p.random(p.width);
+        star.y = p.random(p.height * 0.6, p.height);
+        star.brightness = p.random(150, 255);
       }
       
       const alpha = p.map(star.lifespan, 0, 300, 0, star.brightness) * intensity;
@@ -1133,21 +2757,32 @@ const immersiveScroll = (p) => {
   
   /**
    * Draws sky zone elements (clouds and birds).
+   * Clouds drift faster while scrolling fast.
    * @param {number} intensity - Zone intensity (0-1)
+   * @param {Object} motion - Smoothed scroll motion { velocity, speed }
    */
-  function drawSkyElements(intensity) {
-    // Draw floating clouds
+  function drawSkyElements(intensity, motion) {
     // Add a more pronounced upward drift as sky fades out
     const cloudRise = p.map(intensity, 0, 1, -p.height * 0.2, 0);
+    const cloudShift = parallaxOffset(parallaxDepths.clouds);
     
+    // Night visits (real-time clock mode): stars and the moon behind the clouds
+    if (daylight.night > 0.01) {
+      drawNightSky(intensity * daylight.night, cloudRise);
+    }
+    
+    // Draw floating clouds
     p.push();
+    p.translate(cloudShift.x, cloudShift.y);
     clouds.forEach(cloud => {
-      cloud.x += cloud.speed;
+      cloud.x += cloud.speed * (1 + motion.speed * 4 + windGust * 3) * clock.dt; // Winds pick up while scrolling fast and in gusts
       if (cloud.x > p.width + cloud.size) {
         cloud.x = -cloud.size;
       }
       
-      p.fill(255, 255, 255, cloud.opacity * intensity);
+      // Clouds turn moonlit grey at night and darken under rain
+      const overcast = 1 - Math.max(weatherLevels.rain, weatherLevels.snow * 0.5) * 0.35;
+      p.fill((255 - daylight.night * 85) * overcast, (255 - daylight.night * 70) * overcast, (255 - daylight.night * 40) * overcast, cloud.opacity * intensity * (1 - daylight.night * 0.5));
       p.noStroke();
       
       const cy = cloud.y + cloudRise;
@@ -1171,9 +2806,9 @@ const immersiveScroll = (p) => {
       
       for (let i = 0; i < 5; i++) {
         // Individual bird timing
-        const birdTime = p.frameCount * 0.1 + i;
-        const birdX = (p.frameCount * 2 + i * 200) % (p.width + 100) - 50;
-        const birdY = (p.height * 0.25 + cloudRise) + p.sin(p.frameCount * 0.05 + i) * 20;
+        const birdTime = clock.time * 6 + i;
+        const birdX = (clock.time * 120 + i * 200) % (p.width + 100) - 50;
+        const birdY = (p.height * 0.25 + cloudRise) + p.sin(clock.time * 3 + i) * 20;
         
         // Wing flapping motion (sin wave for wing offset)
         const wingSpan = 10;
@@ -1188,6 +2823,300 @@ const immersiveScroll = (p) => {
     }
   }
 
+  /**
+   * Draws the weather over the sky and sunset zones: fog banks, rain, snow and lightning,
+   * faded by how much of the sky and sunset is on screen.
+   * @param {Object} motion - Smoothed scroll motion { velocity, speed } (unused)
+   * @param {Object} zone - Zone weights of this frame, from calculateZone()
+   */
+  function drawWeather(motion, zone) {
+    const exposure = p.constrain(zone.sky + zone.sunset, 0, 1);
+    if (exposure < 0.01) return;
+    const windDrift = windGust * maxWindDrift;
+    
+    if (weatherLevels.fog > 0.01) drawFogBanks(exposure * weatherLevels.fog, windDrift);
+    if (weatherLevels.rain > 0.01) drawRain(exposure, windDrift);
+    if (weatherLevels.snow > 0.01) drawSnow(exposure, windDrift);
+    if (weatherLevels.lightning > 0.01) drawLightning(exposure);
+  }
+  
+  /**
+   * Wraps a particle back into view horizontally (wind can push it off either side).
+   * @param {Object} particle - Particle with an x position
+   * @param {number} margin - Distance beyond the edge before wrapping (px)
+   */
+  function wrapHorizontally(particle, margin) {
+    if (particle.x > p.width + margin) {
+      particle.x -= p.width + margin * 2;
+    } else if (particle.x < -margin) {
+      particle.x += p.width + margin * 2;
+    }
+  }
+  
+  /**
+   * Draws falling rain streaks, slanted by the wind.
+   * @param {number} exposure - Sky and sunset visibility (0-1)
+   * @param {number} windDrift - Sideways wind speed (px/s)
+   */
+  function drawRain(exposure, windDrift) {
+    const count = Math.floor(activeCount(rainDrops) * weatherLevels.rain);
+    p.push();
+    p.strokeWeight(1.2);
+    p.stroke(200, 215, 235, 150 * exposure);
+    for (let i = 0; i < count; i++) {
+      const drop = rainDrops[i];
+      drop.y += drop.speed * clock.dt;
+      drop.x += windDrift * clock.dt;
+      if (drop.y > p.height + drop.length) {
+        drop.y = -drop.length;
+        drop.x = p.random(p.width);
+      }
+      wrapHorizontally(drop, 30);
+      const slant = windDrift / drop.speed; // Horizontal run per pixel of fall
+      p.line(drop.x, drop.y, drop.x - slant * drop.length, drop.y - drop.length);
+    }
+    p.pop();
+  }
+  
+  /**
+   * Draws drifting snowflakes.
+   * @param {number} exposure - Sky and sunset visibility (0-1)
+   * @param {number} windDrift - Sideways wind speed (px/s)
+   */
+  function drawSnow(exposure, windDrift) {
+    const count = Math.floor(activeCount(snowFlakes) * weatherLevels.snow);
+    p.push();
+    p.noStroke();
+    p.fill(255, 255, 255, 220 * exposure);
+    for (let i = 0; i < count; i++) {
+      const flake = snowFlakes[i];
+      flake.y += flake.speed * clock.dt;
+      flake.x += (p.sin(clock.time * flake.swaySpeed + flake.swayOffset) * 20 + windDrift * 0.6) * clock.dt;
+      if (flake.y > p.height + flake.size) {
+        flake.y = -flake.size;
+        flake.x = p.random(p.width);
+      }
+      wrapHorizontally(flake, 10);
+      p.ellipse(flake.x, flake.y, flake.size);
+    }
+    p.pop();
+  }
+  
+  /**
+   * Draws slow fog banks as stacked soft ellipses tinted toward the sky colour.
+   * @param {number} alpha - Visibility (exposure times the fog level, 0-1)
+   * @param {number} windDrift - Sideways wind speed (px/s)
+   */
+  function drawFogBanks(alpha, windDrift) {
+    const fogColor = p.lerpColor(p.color(225, 228, 235), skyColor, 0.25);
+    p.push();
+    p.noStroke();
+    fogBanks.forEach(bank => {
+      bank.x += (bank.speed + windDrift * 0.3) * clock.dt;
+      wrapHorizontally(bank, bank.width / 2);
+      for (let layer = 0; layer < 4; layer++) {
+        p.fill(p.red(fogColor), p.green(fogColor), p.blue(fogColor), 45 * alpha * (1 - layer / 4));
+        p.ellipse(bank.x + p.sin(layer * 1.7) * bank.width * 0.1, bank.y, bank.width * (1 - layer * 0.15), bank.height * (1 - layer * 0.2));
+      }
+    });
+    p.pop();
+  }
+  
+  /**
+   * Rolls for lightning strikes and draws the flash and the fading bolt.
+   * @param {number} exposure - Sky and sunset visibility (0-1)
+   */
+  function drawLightning(exposure) {
+    if (p.random() < weatherLevels.lightning * lightningRate * clock.dt) {
+      // New strike: a jagged bolt from the top of the sky down toward the horizon
+      const bolt = [];
+      let x = p.random(p.width * 0.15, p.width * 0.85);
+      const bottom = p.height * p.random(0.4, 0.6);
+      for (let y = 0; y < bottom; y += p.random(20, 50)) {
+        bolt.push({ x, y });
+        x += p.random(-30, 30);
+      }
+      bolt.push({ x, y: bottom });
+      lightning.bolt = bolt;
+      lightning.age = 0;
+      lightning.flash = 1;
+    }
+    lightning.age += clock.dt;
+    lightning.flash = p.lerp(lightning.flash, 0, clock.damp(5));
+    
+    p.push();
+    if (lightning.flash > 0.01) {
+      p.noStroke();
+      p.fill(230, 235, 255, lightning.flash * 110 * exposure);
+      p.rect(0, 0, p.width, p.height);
+    }
+    if (lightning.bolt && lightning.age < lightningBoltLife) {
+      const boltAlpha = (1 - lightning.age / lightningBoltLife) * 255 * exposure;
+      p.noFill();
+      [[6, 0.25], [2, 1]].forEach(([weight, strength]) => { // Glow, then core
+        p.stroke(235, 240, 255, boltAlpha * strength);
+        p.strokeWeight(weight);
+        p.beginShape();
+        lightning.bolt.forEach(point => p.vertex(point.x, point.y));
+        p.endShape();
+      });
+    }
+    p.pop();
+  }
+  
+  /**
+   * Draws the night sky of the sky zone: twinkling stars and the moon.
+   * @param {number} alpha - Visibility (sky intensity times the night weight, 0-1)
+   * @param {number} rise - Vertical drift shared with the clouds (px)
+   */
+  function drawNightSky(alpha, rise) {
+    const starShift = parallaxOffset(parallaxDepths.stars);
+    p.push();
+    p.translate(starShift.x, starShift.y + rise * 0.3);
+    p.noStroke();
+    const nightStarCount = activeCount(nightStars);
+    nightStars.forEach((star, index) => {
+      if (index >= nightStarCount) return;
+      const breathing = p.sin(clock.time * star.twinkleSpeed + index) * 0.3 + 0.7;
+      p.fill(255, 255, 255, star.brightness * alpha * breathing);
+      p.ellipse(star.x, star.y, star.size);
+    });
+    p.pop();
+    
+    drawMoon(p.width * 0.22 + starShift.x, p.height * 0.18 + rise * 0.5, p.min(p.width, p.height) * 0.07, alpha);
+  }
+  
+  /**
+   * Draws the moon in its current phase: a soft halo, the faint earthshine disc, the lit part
+   * bounded by the terminator and the craters in the sunlight. Waxing moons are lit on the right.
+   * @param {number} x - Centre x (px)
+   * @param {number} y - Centre y (px)
+   * @param {number} size - Disc diameter (px)
+   * @param {number} alpha - Visibility (0-1)
+   */
+  function drawMoon(x, y, size, alpha) {
+    const r = size / 2;
+    const illumination = (1 - Math.cos(moonState.phase * p.TWO_PI)) / 2;
+    const litSide = moonState.phase < 0.5 ? 1 : -1;
+    // Terminator: x = terminatorScale * r * cos(latitude), from the lit limb (new) to the far limb (full)
+    const terminatorScale = litSide * Math.cos(moonState.phase * p.TWO_PI);
+    p.push();
+    p.noStroke();
+    
+    // Halo (dimmer around a thin moon)
+    for (let i = 4; i > 0; i--) {
+      p.fill(220, 230, 255, 18 * alpha * (1 - i / 5) * (0.3 + 0.7 * illumination));
+      p.circle(x, y, size * (1 + i * 0.45));
+    }
+    
+    // Earthshine on the dark side
+    p.fill(150, 160, 185, 50 * alpha);
+    p.circle(x, y, size);
+    
+    // Lit part: the bright limb, then back along the terminator
+    p.fill(235, 235, 222, 240 * alpha);
+    p.beginShape();
+    for (let i = 0; i <= 24; i++) {
+      const latitude = -p.HALF_PI + p.PI * i / 24;
+      p.vertex(x + litSide * r * Math.cos(latitude), y + r * Math.sin(latitude));
+    }
+    for (let i = 24; i >= 0; i--) {
+      const latitude = -p.HALF_PI + p.PI * i / 24;
+      p.vertex(x + terminatorScale * r * Math.cos(latitude), y + r * Math.sin(latitude));
+    }
+    p.endShape(p.CLOSE);
+    
+    // Craters, only where the sun reaches
+    p.fill(205, 205, 195, 200 * alpha);
+    [[-0.18, -0.12, 0.22], [0.2, 0.15, 0.16], [0.05, -0.25, 0.1]].forEach(([cx, cy, crater]) => {
+      const limb = Math.sqrt(Math.max(1 - cy * cy * 4, 0)) * r; // Half-width of the disc at this height
+      const terminatorX = terminatorScale * limb;
+      const craterX = cx * size;
+      const lit = litSide > 0 ? craterX > terminatorX : craterX < terminatorX;
+      if (lit) p.circle(x + craterX, y + cy * size, size * crater);
+    });
+    p.pop();
+  }
+  
+  /**
+   * Draws a planet as a steady point of light with a small glow.
+   * @param {Object} planet - Planet entry (size, color)
+   * @param {number} x - Centre x (px)
+   * @param {number} y - Centre y (px)
+   * @param {number} alpha - Visibility (0-1)
+   */
+  function drawPlanet(planet, x, y, alpha) {
+    p.push();
+    p.noStroke();
+    p.fill(...planet.color, 40 * alpha);
+    p.circle(x, y, planet.size * 3.5);
+    p.fill(...planet.color, 245 * alpha);
+    p.circle(x, y, planet.size);
+    p.pop();
+  }
+  
+  /**
+   * Draws the moon and the planets in the space zone on an arc across the sky: evening bodies
+   * (east of the sun) on the right, morning bodies on the left, none inside the sun's glare.
+   * @param {number} intensity - Space zone intensity (0-1)
+   * @param {Object} shift - Parallax offset of the star layer { x, y }
+   */
+  function drawSpaceSkyBodies(intensity, shift) {
+    const place = elongation => {
+      const signed = elongation > 180 ? elongation - 360 : elongation; // -180 to 180, east positive
+      return {
+        x: p.width * 0.5 + (signed / 180) * p.width * 0.42 + shift.x,
+        y: p.height * 0.85 - Math.sin(Math.abs(signed) / 180 * p.PI) * p.height * 0.6 + shift.y
+      };
+    };
+    const inGlare = elongation => elongation < sunGlare || elongation > 360 - sunGlare;
+    
+    planets.forEach(planet => {
+      if (inGlare(planet.elongation)) return;
+      const position = place(planet.elongation);
+      drawPlanet(planet, position.x, position.y, intensity);
+    });
+    if (!inGlare(moonState.elongation)) {
+      const position = place(moonState.elongation);
+      drawMoon(position.x, position.y, p.min(p.width, p.height) * 0.06, intensity);
+    }
+  }
+  
+  /**
+   * Draws the evening moon and planets in the sunset zone, rising from the horizon as the sun
+   * goes down. Bodies just east of the sun stay low above the sunset point; the further east,
+   * the higher they stand, down to the opposite horizon at 180 degrees.
+   * @param {number} intensity - Sunset zone intensity (0-1)
+   * @param {number} horizonY - Current sea horizon (px)
+   */
+  function drawEveningSkyBodies(intensity, horizonY) {
+    // How far the bodies have risen: with the sun's descent, or the actual dusk in clock mode
+    const sunT = p.constrain((scrollProgress - sunTiming.start) / (sunTiming.end - sunTiming.start), 0, 1);
+    let rise = p.constrain((sunT - 0.7) / 0.3, 0, 1);
+    if (daylight.active) rise = p.constrain(1 - daylight.altitude / 8, 0, 1);
+    if (rise <= 0.01) return;
+    rise = zoneEasings.easeOutSine(rise);
+    
+    const shiftX = parallaxOffset(parallaxDepths.sun).x;
+    const place = elongation => ({
+      x: p.width * 0.4 + (elongation / 180) * p.width * 0.6 + shiftX,
+      y: horizonY - Math.sin(elongation / 180 * p.PI) * p.height * 0.55 * rise
+    });
+    const visible = elongation => elongation > sunGlare && elongation < 180;
+    const alpha = intensity * rise;
+    
+    planets.forEach(planet => {
+      if (!visible(planet.elongation)) return;
+      const position = place(planet.elongation);
+      if (position.y < horizonY - planet.size) drawPlanet(planet, position.x, position.y, alpha);
+    });
+    if (visible(moonState.elongation)) {
+      const size = p.min(p.width, p.height) * 0.07;
+      const position = place(moonState.elongation);
+      if (position.y < horizonY - size / 2) drawMoon(position.x, position.y, size, alpha);
+    }
+  }
+  
   /**
    * Draws sea surface zone elements (waves and boat).
    * Optimized: reduced wave sampling.
@@ -1218,6 +3147,9 @@ const immersiveScroll = (p) => {
     const seaAlpha = zone.deepSea > 0 ? p.map(zone.deepSea, 0, 0.95, 255, 0) : 255 * intensity;
     
     if (seaAlpha < 1) return;
+    
+    // Evening moon and planets behind the water
+    drawEveningSkyBodies(intensity, currentSeaY);
 
     p.push();
     // 1. Draw the "body" of the water (filled area)
@@ -1231,7 +3163,8 @@ const immersiveScroll = (p) => {
     p.vertex(-100, p.height); // Bottom left
     p.vertex(-100, currentSeaY); // Top left (horizon start)
     
-    const waveTime = p.frameCount * 0.02; // Slower, more majestic wave speed
+    const waveTime = clock.time * 1.2; // Slower, more majestic wave speed
+    const waveSwell = 1 + audioBands.bass * 0.8; // Audio bass raises the waves
     for (let x = -100; x <= p.width + 100; x += 15) {
       // Combine two sine waves for rolling "interference" patterns
       const freq1 = 0.005;
@@ -1244,7 +3177,7 @@ const immersiveScroll = (p) => {
       const sharpWave = p.pow(p.map(combinedWave, -1, 1, 0, 1), 2.2);
       
       const noiseVal = p.noise(x * 0.004, waveTime * 0.3) * 25;
-      const y = currentSeaY - (sharpWave * 65) + noiseVal; 
+      const y = currentSeaY - (sharpWave * 65 * waveSwell) + noiseVal; 
       p.vertex(x, y);
     }
     
@@ -1258,7 +3191,7 @@ const immersiveScroll = (p) => {
       const layerYOffset = i * 45; // Increased spacing
       const speedMult = 0.6 + i * 0.25;
       const freqMult = 1.0 + i * 0.12;
-      const amplitude = (35 - i * 4) * 1.6;
+      const amplitude = (35 - i * 4) * 1.6 * waveSwell;
       
       p.noFill();
       
@@ -1307,11 +3240,11 @@ const immersiveScroll = (p) => {
   function drawSun() {
     const zone = calculateZone();
     
-    // 1. Journey Timing:
-    // Starts emerging when the Sky zone is fully active (0.45)
-    // Hits the waves at the end of Sunset (0.82)
-    const sunStart = 0.45;
-    const sunEnd = 0.82;
+    // 1. Journey Timing (from the sun's timeline span):
+    // Starts emerging as the Sky zone becomes fully active
+    // Hits the waves at the end of Sunset
+    const sunStart = sunTiming.start;
+    const sunEnd = sunTiming.end;
     
     if (scrollProgress < sunStart) return;
     
@@ -1327,9 +3260,9 @@ const immersiveScroll = (p) => {
       // Transition from bottom of screen to waves.y
       const horizonOffset = p.map(zone.sunset, 0, 1, p.height * 0.55, 0);
       horizonY = waves.y + horizonOffset;
-    } else if (scrollProgress > 0.5) {
+    } else if (scrollProgress > sunTiming.horizonStart) {
       // Horizon is starting to rise
-      const localSunsetT = p.constrain((scrollProgress - 0.55) / (0.82 - 0.55), 0, 1);
+      const localSunsetT = p.constrain((scrollProgress - sunTiming.horizonStart) / (sunEnd - sunTiming.horizonStart), 0, 1);
       const horizonOffset = p.map(localSunsetT, 0, 1, p.height * 0.55, 0);
       horizonY = waves.y + horizonOffset;
     } else {
@@ -1348,12 +3281,21 @@ const immersiveScroll = (p) => {
     const p2y = horizonY;        // Hits the waves
     
     const sunX = (1 - sunT) * (1 - sunT) * p0x + 2 * (1 - sunT) * sunT * p1x + sunT * sunT * p2x;
-    const sunY = (1 - sunT) * (1 - sunT) * p0y + 2 * (1 - sunT) * sunT * p1y + sunT * sunT * p2y;
+    let sunY = (1 - sunT) * (1 - sunT) * p0y + 2 * (1 - sunT) * sunT * p1y + sunT * sunT * p2y;
+    let warmth = sunT; // 0 = pale midday sun, 1 = deep sunset orange
+    
+    // Real-time clock mode: the height above the waves follows the actual sun altitude
+    // (1 at solar noon; below the horizon the sun is clipped away) and a low sun glows warm
+    if (daylight.active) {
+      const lift = daylight.altitude / Math.max(daylight.noonAltitude, 1);
+      sunY = p.lerp(horizonY, p.height * 0.1, lift);
+      warmth = p.constrain(1 - daylight.altitude / 25, 0, 1);
+    }
     
     // 4. Visuals:
     // Color: Very Pale Yellow (Natural Sun) -> Warm Sunset Orange
     // Using a strong power curve to keep it pale/bright for much longer
-    const colorT = p.pow(sunT, 2.5); 
+    const colorT = p.pow(warmth, 2.5); 
     const sunColor = p.lerpColor(p.color(255, 255, 245), sunsetColor, colorT);
     
     // Alpha: Fade in early, fade out very late
@@ -1363,6 +3305,7 @@ const immersiveScroll = (p) => {
     
     if (sunAlpha > 1) {
       p.push();
+      p.translate(parallaxOffset(parallaxDepths.sun).x, 0); // Horizontal only, so the horizon clip stays put
       
       // Helper function to draw a circle clipped by the horizon line
       const drawClippedSun = (x, y, d, col) => {
@@ -1389,7 +3332,7 @@ const immersiveScroll = (p) => {
 
       // 1. Draw Atmospheric Glow (also clipped)
       // Stay white-pale longer to match the core's intense heat
-      const glowColBase = p.lerpColor(p.color(255, 255, 255), p.color(255, 80, 0), p.pow(sunT, 2.2));
+      const glowColBase = p.lerpColor(p.color(255, 255, 255), p.color(255, 80, 0), p.pow(warmth, 2.2));
       const glowLayers = 6;
       for (let i = glowLayers; i > 0; i--) {
         const layerSize = sun.size * (1 + i * 0.35);
@@ -1407,30 +3350,62 @@ const immersiveScroll = (p) => {
 
   /**
    * Draws deep sea zone elements (bubbles and fish).
+   * Fast scrolling bends the seaweed and scatters the fish.
    * @param {number} intensity - Zone intensity (0-1)
+   * @param {Object} motion - Smoothed scroll motion { velocity, speed }
    */
-  function drawDeepSeaElements(intensity) {
+  function drawDeepSeaElements(intensity, motion) {
     // The horizon scrolls off screen as we descend
     const scrollOffOffset = p.map(intensity, 0, 1, 0, -p.height * 0.6);
     const horizonY = waves.y + 20 + scrollOffOffset; 
     const fadePadding = 60; 
 
     // Draw background plants (layer 1) - half of them
-    drawSeaPlants(intensity, 0, Math.floor(seaPlants.length / 2), horizonY);
+    drawSeaPlants(intensity, 0, Math.floor(seaPlants.length / 2), horizonY, motion, parallaxDepths.backPlants);
 
     // Draw rising bubbles
     p.push();
-    bubbles.forEach(bubble => {
-      bubble.y -= bubble.speed;
+    // Audio highs release reserve bubbles (more bubbles per second) and speed up the rise
+    const bubbleCount = Math.ceil(baseBubbleCount * quality.particleScale);
+    const audioBubbleCount = Math.floor(audioBubbleReserve * quality.particleScale * audioBands.high);
+    bubbles.forEach((bubble, index) => {
+      const reserveIndex = index - baseBubbleCount;
+      if (reserveIndex < 0 ? index >= bubbleCount : bubble.parked && reserveIndex >= audioBubbleCount) return;
+      bubble.parked = false;
+      bubble.y -= bubble.speed * (1 + audioBands.high * 2) * clock.dt;
       if (bubble.y < horizonY) {
         bubble.y = p.height + bubble.size;
         bubble.x = p.random(p.width);
+        // Reserve bubbles no longer called for by the highs wait below the screen
+        if (reserveIndex >= audioBubbleCount) {
+          bubble.parked = true;
+          return;
+        }
       }
       let surfaceFade = 1.0;
       if (bubble.y < horizonY + fadePadding) {
         surfaceFade = p.map(bubble.y, horizonY + fadePadding, horizonY, 1.0, 0.0);
       }
       const finalOpacity = bubble.opacity * intensity * surfaceFade;
+      
+      // Pop the bubble under a press: leave a burst behind and respawn it at the bottom
+      const popIndex = pendingPops.findIndex(pop => p.dist(pop.x, pop.y, bubble.x, bubble.y) < bubble.size / 2 + 8);
+      if (popIndex !== -1 && finalOpacity > 2) {
+        pendingPops.splice(popIndex, 1);
+        bubbleBursts.push({
+          x: bubble.x,
+          y: bubble.y,
+          size: bubble.size,
+          opacity: Math.max(bubble.opacity, 60),
+          spin: (bubble.x + bubble.y) % p.TWO_PI, // Droplet ring orientation
+          age: 0
+        });
+        bubble.y = p.height + bubble.size;
+        bubble.x = p.random(p.width);
+        bubble.parked = reserveIndex >= audioBubbleCount;
+        return;
+      }
+      
       if (finalOpacity > 2) {
         // Ethereal light blue tint for bubbles
         p.fill(180, 230, 255, finalOpacity * 0.4);
@@ -1444,26 +3419,57 @@ const immersiveScroll = (p) => {
         p.ellipse(bubble.x - bubble.size * 0.22, bubble.y - bubble.size * 0.22, bubble.size * 0.25);
       }
     });
+    
+    // Popped bubble bursts: an expanding ring with droplets flung outward
+    bubbleBursts = bubbleBursts.filter(burst => {
+      burst.age += clock.dt;
+      const life = burst.age / bubbleBurstLife;
+      if (life >= 1) return false;
+      const fade = (1 - life) * burst.opacity * intensity;
+      const radius = burst.size * (0.5 + life * 0.8);
+      p.noFill();
+      p.stroke(220, 240, 255, fade * 0.8);
+      p.strokeWeight(1);
+      p.ellipse(burst.x, burst.y, radius * 2);
+      p.noStroke();
+      p.fill(255, 255, 255, fade);
+      for (let i = 0; i < 6; i++) {
+        const angle = burst.spin + i * p.TWO_PI / 6;
+        p.ellipse(burst.x + p.cos(angle) * radius * 1.3, burst.y + p.sin(angle) * radius * 1.3, burst.size * 0.15 * (1 - life));
+      }
+      return true;
+    });
     p.pop();
     
     // Draw jellyfish (ethereal, pulsing, swimming up)
     p.push();
     jellyfish.forEach(jelly => {
-      const pulse = p.sin(p.frameCount * 0.04 + jelly.offset);
+      const pulse = p.sin(clock.time * 2.4 + jelly.offset);
       const moveUp = p.map(pulse, -1, 1, 0.2, 1.2) * jelly.speed;
-      jelly.y -= moveUp;
+      jelly.y -= moveUp * clock.dt;
       
       // Ensure the contact jelly doesn't drift too far below screen
       if (jelly.isContactJelly && jelly.y > p.height + 200) {
         jelly.y = p.height + 50;
       }
 
-      jelly.x += p.sin(p.frameCount * 0.02 + jelly.offset) * 0.5;
+      jelly.x += p.sin(clock.time * 1.2 + jelly.offset) * 30 * clock.dt;
+      
+      // Drift toward a held touch (or held mouse button)
+      if (pointer.held) {
+        const distance = p.dist(jelly.x, jelly.y, pointer.x, pointer.y);
+        if (distance < jellyAttractRadius) {
+          const pull = clock.damp(0.8) * (1 - distance / jellyAttractRadius);
+          jelly.x = p.lerp(jelly.x, pointer.x, pull);
+          jelly.y = p.lerp(jelly.y, pointer.y, pull);
+        }
+      }
       if (jelly.y < horizonY - jelly.size) {
         // Respawn logic: move to bottom of screen
         jelly.y = p.height + jelly.size;
         if (jelly.isContactJelly) {
-           jelly.x = p.random(p.width * 0.05, p.constrain((p.width - 1000) / 2 - 100, p.width * 0.05, p.width * 0.15));
+           const lane = contactJellyLane();
+           jelly.x = p.random(lane.min, lane.max);
            // Give the contact jelly a little "boost" to get back on screen faster
            jelly.y = p.height; 
         } else {
@@ -1496,16 +3502,17 @@ const immersiveScroll = (p) => {
 
           p.beginShape();
           for (let seg = 0; seg < (jelly.isContactJelly ? 10 : 6); seg++) {
-            const tSpeed = jelly.isContactJelly ? 0.04 : 0.08;
-            const tx = p.sin(p.frameCount * tSpeed + seg * 0.4 + tOffset) * (jelly.isContactJelly ? 8 + seg * 3 : 5 + seg * 2);
+            const tSpeed = jelly.isContactJelly ? 2.4 : 4.8;
+            const tx = p.sin(clock.time * tSpeed + seg * 0.4 + tOffset) * (jelly.isContactJelly ? 8 + seg * 3 : 5 + seg * 2);
             const ty = seg * (jelly.size * (jelly.isContactJelly ? 0.18 : 0.22));
             p.vertex(tx + (i - (numTentacles/2)) * (jelly.size * 0.1), ty + jelly.size * 0.15);
           }
           p.endShape();
         }
 
-        const pulseWidth = jelly.size * (1 + pulse * 0.1);
-        const pulseHeight = jelly.size * 0.6 * (1 - pulse * 0.05);
+        const pulseDepth = 1 + audioBands.mid * 3; // Audio mids deepen the pulse
+        const pulseWidth = jelly.size * (1 + pulse * 0.1 * pulseDepth);
+        const pulseHeight = jelly.size * 0.6 * (1 - pulse * 0.05 * pulseDepth);
         
         // Draw outer bell
         p.fill(p.red(jelly.color), p.green(jelly.color), p.blue(jelly.color), finalAlpha * 0.5);
@@ -1527,8 +3534,8 @@ const immersiveScroll = (p) => {
         if (jelly.isContactJelly) {
           p.fill(255, 255, 255, finalAlpha * 0.6);
           for(let s=0; s<4; s++) {
-            const sx = p.cos(s * p.HALF_PI + p.frameCount * 0.02) * pulseWidth * 0.25;
-            const sy = p.sin(s * p.HALF_PI + p.frameCount * 0.02) * pulseHeight * 0.15 - pulseHeight * 0.2;
+            const sx = p.cos(s * p.HALF_PI + clock.time * 1.2) * pulseWidth * 0.25;
+            const sy = p.sin(s * p.HALF_PI + clock.time * 1.2) * pulseHeight * 0.15 - pulseHeight * 0.2;
             p.circle(sx, sy, 3);
           }
         }
@@ -1542,8 +3549,30 @@ const immersiveScroll = (p) => {
     
     // Draw floating fish
     p.push();
-    fishes.forEach(fish => {
-      fish.x += fish.speed * fish.direction;
+    const fishCount = activeCount(fishes);
+    fishes.forEach((fish, index) => {
+      if (index >= fishCount) return;
+      // Fast scrolling scatters the school: fish dart ahead and spread up and down,
+      // drifting back to their depth once scrolling stops
+      fish.x += fish.speed * fish.direction * (1 + motion.speed * 3) * clock.dt;
+      fish.offsetY += (index % 2 === 0 ? 1 : -1) * motion.speed * 120 * clock.dt;
+      fish.offsetY = p.lerp(fish.offsetY, 0, clock.damp(1.5));
+      let fishY = fish.y + fish.offsetY;
+      
+      // Steer away from the pointer, turning around if it is straight ahead
+      if (pointer.active) {
+        const dx = fish.x - pointer.x;
+        const dy = fishY - pointer.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > 0 && distance < fishFleeRadius) {
+          const push = (1 - distance / fishFleeRadius) * fishFleeSpeed * clock.dt;
+          fish.x += (dx / distance) * push;
+          fish.offsetY += (dy / distance) * push; // Eases back with the scatter
+          if (distance < fishFleeRadius * 0.6 && dx * fish.direction < 0) {
+            fish.direction *= -1;
+          }
+        }
+      }
       if (fish.x > p.width + 50) {
         fish.x = -50;
       } else if (fish.x < -50) {
@@ -1552,17 +3581,19 @@ const immersiveScroll = (p) => {
       if (fish.y < horizonY + 50) {
         fish.y = p.random(horizonY + 50, p.height);
       }
+      // Scattered fish stay in the water column
+      fishY = p.constrain(fish.y + fish.offsetY, horizonY + 50, p.height - fish.size * 0.5);
       let fishFade = 1.0;
       const fishFadePadding = 100;
-      if (fish.y < horizonY + fishFadePadding) {
-        fishFade = p.map(fish.y, horizonY + fishFadePadding, horizonY + 20, 1.0, 0.0);
+      if (fishY < horizonY + fishFadePadding) {
+        fishFade = p.map(fishY, horizonY + fishFadePadding, horizonY + 20, 1.0, 0.0);
       }
       const finalFishAlpha = 255 * intensity * fishFade;
       if (finalFishAlpha > 5) {
         p.push();
-        p.translate(fish.x, fish.y);
+        p.translate(fish.x, fishY);
         p.scale(fish.direction, 1);
-        const wiggle = p.sin(p.frameCount * 0.15 + fish.x * 0.1) * 5;
+        const wiggle = p.sin(clock.time * 9 + fish.x * 0.1) * 5;
         const bodyCol = p.color(p.red(fish.color), p.green(fish.color), p.blue(fish.color), finalFishAlpha);
         p.fill(bodyCol);
         p.stroke(0, 0, 0, 60 * intensity * fishFade);
@@ -1599,7 +3630,7 @@ const immersiveScroll = (p) => {
           
           // Flapping half-round fin - pointed towards the tail
           p.push();
-          const flap = p.sin(p.frameCount * 0.2 + fish.x * 0.05) * 20;
+          const flap = p.sin(clock.time * 12 + fish.x * 0.05) * 20;
           p.translate(-fish.size * 0.1, 0); // Moved slightly more back
           p.rotate(p.radians(flap));
           // Draw arc pointing towards the tail (left in local scaled space)
@@ -1618,23 +3649,35 @@ const immersiveScroll = (p) => {
     p.pop();
 
     // Draw foreground plants (layer 2) - other half
-    drawSeaPlants(intensity, Math.floor(seaPlants.length / 2), seaPlants.length, horizonY);
+    drawSeaPlants(intensity, Math.floor(seaPlants.length / 2), seaPlants.length, horizonY, motion, parallaxDepths.frontPlants);
   }
 
   /**
    * Helper function to draw sea plants (coral and seaweed) with swaying motion.
+   * Seaweed also bends against the scroll direction while scrolling fast.
+   * @param {number} intensity - Deep sea zone intensity (0-1)
+   * @param {number} start - First plant index to draw
+   * @param {number} end - Plant index to stop before
+   * @param {number} horizonY - Current sea floor reference line
+   * @param {Object} motion - Smoothed scroll motion { velocity, speed }
+   * @param {number} depth - Parallax depth of this half (the front plants move the most)
    */
-  function drawSeaPlants(intensity, start, end, horizonY) {
+  function drawSeaPlants(intensity, start, end, horizonY, motion, depth) {
+    const plantShift = parallaxOffset(depth);
     p.push();
+    p.translate(plantShift.x, plantShift.y);
     const plantScrollOffset = p.map(intensity, 0, 1, p.height, 0);
+    const plantCount = Math.ceil((end - start) * quality.particleScale);
+    // Seaweed bends against the scroll direction, like water rushing past
+    const scrollBend = -p.constrain(motion.velocity, -fullSpeedVelocity, fullSpeedVelocity) / fullSpeedVelocity;
     
-    for (let i = start; i < end; i++) {
+    for (let i = start; i < start + plantCount; i++) {
       const plant = seaPlants[i];
       if (!plant) continue;
 
       const x = plant.x;
       const y = plant.y + plantScrollOffset;
-      const baseSway = p.sin(p.frameCount * plant.swaySpeed + plant.swayOffset);
+      const baseSway = p.sin(clock.time * plant.swaySpeed + plant.swayOffset);
       
       p.push();
       p.translate(x, y);
@@ -1643,7 +3686,7 @@ const immersiveScroll = (p) => {
         p.noStroke();
         for (let b = 0; b < plant.numBlades; b++) {
           const bOffset = b * (plant.size * 0.08) - (plant.numBlades * 0.04 * plant.size);
-          const bSway = p.sin(p.frameCount * plant.swaySpeed + plant.swayOffset + b * 0.5) * (plant.size * 0.12);
+          const bSway = p.sin(clock.time * plant.swaySpeed + plant.swayOffset + b * 0.5) * (plant.size * 0.12) + scrollBend * plant.size * 0.25;
           const bHeight = plant.size * (0.7 + p.noise(i, b) * 0.4);
           
           // Shading: darker at the bottom and center
@@ -1657,8 +3700,8 @@ const immersiveScroll = (p) => {
           for (let s = 0; s <= segments; s++) {
             const t = s / segments;
             const sy = -bHeight * t;
-            const swayT = p.sin(t * p.PI + p.frameCount * 0.05 + b) * (plant.size * 0.03);
-            const ruffles = p.noise(t * 10, p.frameCount * 0.02) * (plant.size * 0.02);
+            const swayT = p.sin(t * p.PI + clock.time * 3 + b) * (plant.size * 0.03);
+            const ruffles = p.noise(t * 10, clock.time * 1.2) * (plant.size * 0.02);
             const sx = bOffset - (plant.size * 0.05 * (1 - t)) + bSway * t + swayT - ruffles;
             p.vertex(sx, sy);
           }
@@ -1666,8 +3709,8 @@ const immersiveScroll = (p) => {
           for (let s = segments; s >= 0; s--) {
             const t = s / segments;
             const sy = -bHeight * t;
-            const swayT = p.sin(t * p.PI + p.frameCount * 0.05 + b) * (plant.size * 0.03);
-            const ruffles = p.noise(t * 10 + 100, p.frameCount * 0.02) * (plant.size * 0.02);
+            const swayT = p.sin(t * p.PI + clock.time * 3 + b) * (plant.size * 0.03);
+            const ruffles = p.noise(t * 10 + 100, clock.time * 1.2) * (plant.size * 0.02);
             const sx = bOffset + (plant.size * 0.05 * (1 - t)) + bSway * t + swayT + ruffles;
             p.vertex(sx, sy);
           }
@@ -1681,20 +3724,20 @@ const immersiveScroll = (p) => {
           for (let s = 0; s <= segments; s++) {
             const t = s / segments;
             const sy = -bHeight * t;
-            const swayT = p.sin(t * p.PI + p.frameCount * 0.05 + b) * (plant.size * 0.03);
+            const swayT = p.sin(t * p.PI + clock.time * 3 + b) * (plant.size * 0.03);
             const sx = bOffset + bSway * t + swayT;
             p.vertex(sx, sy);
           }
           p.endShape();
           
           // Add some biological detail dots (dots/polyps)
-          if (p.frameCount % 2 === 0) { // Subtle animation
+          if (Math.floor(clock.time * 30) % 2 === 0) { // Subtle animation (flickers 15 times/s)
              p.noStroke();
              p.fill(255, 255, 255, 40);
              for(let d=0; d<3; d++) {
                 const dt = p.noise(i, b, d) * 0.8;
                 const dy = -bHeight * dt;
-                const dSwayT = p.sin(dt * p.PI + p.frameCount * 0.05 + b) * (plant.size * 0.03);
+                const dSwayT = p.sin(dt * p.PI + clock.time * 3 + b) * (plant.size * 0.03);
                 const dx = bOffset + bSway * dt + dSwayT + (p.noise(d, i)-0.5) * (plant.size * 0.04);
                 p.circle(dx, dy, p.noise(i, d) * 3);
              }
@@ -1710,7 +3753,7 @@ const immersiveScroll = (p) => {
         
         if (plant.coralSubType === 'fan' || plant.coralSubType === 'staghorn') {
           const drawCoralBranch = (structure, len, weight, depth, maxDepth) => {
-            if (!structure || structure.length === 0) return;
+            if (!structure || structure.length === 0 || depth > quality.coralDepth) return;
             structure.forEach((branch, idx) => {
               p.push();
               const lerpAmt = depth / maxDepth;
@@ -1799,7 +3842,7 @@ const immersiveScroll = (p) => {
             p.beginShape();
             for (let s = 0; s < 10; s++) {
               const ang = p.map(s, 0, 10, -p.PI, 0);
-              const r = bSize * 0.45 + p.noise(f, s, p.frameCount * 0.01) * 10;
+              const r = bSize * 0.45 + p.noise(f, s, clock.time * 0.6) * 10;
               p.vertex(p.cos(ang) * r, p.sin(ang) * r - bSize/3);
             }
             p.endShape();
@@ -1813,21 +3856,400 @@ const immersiveScroll = (p) => {
   }
   
   /**
-   * Adjusts canvas size when window is resized.
+   * Sets the anchors derived from the viewport size. Runs in setup and again on every resize.
+   */
+  function layoutSceneAnchors() {
+    // Rocket - launch pad in the lower left of the hero, smaller rocket on short screens
+    rocket.scale = 2.6 * Math.min(1, p.height / 800);
+    rocket.padX = Math.max(70, p.width * 0.1);
+    rocket.padY = p.height * 0.94;
+    
+    // Sunset sun - coming from the right, setting slightly left of the middle
+    sun.startX = p.width * 1.2;
+    sun.startY = p.height * 0.2;
+    sun.endX = p.width * 0.45;
+    sun.size = p.width * 0.12;
+    
+    // Waves
+    waves.y = p.height * 0.45;
+  }
+  
+  /**
+   * Horizontal range the contact jellyfish swims in: the left margin beside the 1000px
+   * centered content box, or the far left on narrow screens.
+   * @returns {Object} { min, max } x range in pixels
+   */
+  function contactJellyLane() {
+    return {
+      min: p.width * 0.05,
+      max: p.constrain((p.width - 1000) / 2 - 100, p.width * 0.05, p.width * 0.15)
+    };
+  }
+  
+  /**
+   * Moves every entity to the same relative spot of a resized canvas, so the composition
+   * (corner coral, cloud band, star field) survives rotations and window resizes.
+   * Sizes stay in pixels; only positions are scaled.
+   * @param {number} scaleX - New width / old width
+   * @param {number} scaleY - New height / old height
+   */
+  function relayoutScene(scaleX, scaleY) {
+    const scalePoint = point => {
+      point.x *= scaleX;
+      point.y *= scaleY;
+    };
+    
+    stars.forEach(star => {
+      scalePoint(star);
+      star.trail.forEach(scalePoint);
+    });
+    [auroraStars, meteorites, clouds, bubbles, fishes, jellyfish, seaPlants, bubbleBursts, nightStars, rainDrops, snowFlakes, fogBanks, rocketSmoke].forEach(pool => {
+      pool.forEach(scalePoint);
+    });
+    
+    // Keep the contact jellyfish beside the content box
+    const lane = contactJellyLane();
+    jellyfish.forEach(jelly => {
+      if (jelly.isContactJelly) jelly.x = p.constrain(jelly.x, lane.min, lane.max);
+    });
+    
+    layoutSceneAnchors();
+  }
+  
+  /**
+   * Adjusts canvas size when window is resized and re-lays out the scene to match.
    */
   p.windowResized = () => {
-    p.resizeCanvas(p.windowWidth, p.windowHeight);
-    maxScroll = document.body.scrollHeight - p.windowHeight;
+    const previousWidth = p.width;
+    const previousHeight = p.height;
+    p.resizeCanvas(p.windowWidth, p.windowHeight, true);
+    relayoutScene(p.width / previousWidth, p.height / previousHeight);
+    measureScrollRange(false);
+    if (!p.isLooping()) p.redraw(); // Reduced-motion still scene or paused
   };
   
   /**
-   * Cleans up intervals when sketch is removed.
+   * Starts or stops the render loop when the reduced-motion preference changes.
+   * @param {boolean} reduced - True to show the static zone gradient
+   */
+  function applyMotionPreference(reduced) {
+    reducedMotion = reduced;
+    syncLoop();
+    if (reduced) p.redraw();
+  }
+  
+  /**
+   * Runs the render loop only while it is wanted: not paused through the API, not hidden in
+   * a background tab and not replaced by the reduced-motion still scene. The clock resumes
+   * without a jump, so the scene continues where it stopped.
+   */
+  function syncLoop() {
+    const shouldLoop = !paused && !pageHidden && !reducedMotion;
+    if (shouldLoop && !p.isLooping()) {
+      clock.resume();
+      p.loop();
+    } else if (!shouldLoop && p.isLooping()) {
+      p.noLoop();
+    }
+  }
+  
+  /**
+   * Repaints the static scene on scroll while the render loop is stopped for reduced motion.
+   * Batched to one repaint per animation frame.
+   */
+  function redrawStillScene() {
+    if (!reducedMotion || stillRedrawPending) return;
+    stillRedrawPending = true;
+    window.requestAnimationFrame(() => {
+      stillRedrawPending = false;
+      if (reducedMotion) p.redraw();
+    });
+  }
+  
+  /**
+   * Listens for device tilt. Where the browser guards it behind a permission (iOS), the prompt
+   * is shown on the first tap; until then, or if it is denied, the pointer stays the source.
+   */
+  function watchDeviceOrientation() {
+    if (typeof window.DeviceOrientationEvent === 'undefined') return;
+    if (typeof window.DeviceOrientationEvent.requestPermission === 'function') {
+      orientation.needsPermission = true;
+      window.addEventListener('click', requestOrientationAccess);
+      window.addEventListener('touchend', requestOrientationAccess);
+    } else {
+      window.addEventListener('deviceorientation', handleOrientation);
+    }
+  }
+  
+  /**
+   * Asks once for device orientation access (must run inside a user gesture).
+   */
+  function requestOrientationAccess() {
+    window.removeEventListener('click', requestOrientationAccess);
+    window.removeEventListener('touchend', requestOrientationAccess);
+    if (!orientation.needsPermission) return;
+    orientation.needsPermission = false;
+    window.DeviceOrientationEvent.requestPermission()
+      .then(state => {
+        if (state === 'granted') window.addEventListener('deviceorientation', handleOrientation);
+      })
+      .catch(() => {}); // Denied or unavailable: keep the pointer parallax
+  }
+  
+  /**
+   * Converts device tilt to a parallax view offset, relative to the resting pose.
+   * Axes follow the screen, so the effect is the same in portrait and landscape.
+   * @param {DeviceOrientationEvent} event - deviceorientation event
+   */
+  function handleOrientation(event) {
+    if (event.beta === null || event.gamma === null) return; // No sensor (most desktops)
+    const angle = (screen.orientation && screen.orientation.angle) || window.orientation || 0;
+    let tiltX = event.gamma;
+    let tiltY = event.beta;
+    if (angle === 90) {
+      tiltX = event.beta;
+      tiltY = -event.gamma;
+    } else if (angle === -90 || angle === 270) {
+      tiltX = -event.beta;
+      tiltY = event.gamma;
+    }
+    if (!orientation.baseline || orientation.baseline.angle !== angle) {
+      orientation.baseline = { angle, x: tiltX, y: tiltY };
+    }
+    orientation.x = p.constrain((tiltX - orientation.baseline.x) / maxTiltDegrees, -1, 1);
+    orientation.y = p.constrain((tiltY - orientation.baseline.y) / maxTiltDegrees, -1, 1);
+    orientation.active = true;
+  }
+  
+  /**
+   * Tracks the pointer position (clientX/Y match canvas pixels, as the canvas covers the viewport).
+   * @param {PointerEvent} event - pointermove (or pointerdown) event
+   */
+  function handlePointerMove(event) {
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+    pointer.active = true;
+    pointer.lastMove = clock.time;
+  }
+  
+  /**
+   * Starts a hold and queues a bubble pop, unless the press lands on a link or form control.
+   * @param {PointerEvent} event - pointerdown event
+   */
+  function handlePointerDown(event) {
+    handlePointerMove(event);
+    if (event.target && event.target.closest && event.target.closest(interactiveSelector)) return;
+    pointer.held = true;
+    if (p.isLooping()) pendingPops.push({ x: event.clientX, y: event.clientY });
+  }
+  
+  /**
+   * Ends a hold. A lifted finger (or a touch turned into a scroll) also leaves no cursor behind.
+   * @param {PointerEvent} event - pointerup or pointercancel event
+   */
+  function handlePointerUp(event) {
+    pointer.held = false;
+    if (event.pointerType === 'touch') pointer.active = false;
+  }
+  
+  /** Forgets the pointer when it leaves the page or the window loses focus. */
+  function handlePointerLeave() {
+    pointer.active = false;
+    pointer.held = false;
+  }
+  
+  /**
+   * Number of entities of a pool drawn at the current quality tier.
+   * Always the first entries, so stepping tiers never reshuffles the scene.
+   * @param {Array} pool - Entity array (e.g. stars)
+   * @returns {number} Entity count
+   */
+  function activeCount(pool) {
+    return Math.ceil(pool.length * quality.particleScale);
+  }
+  
+  /**
+   * Applies the current quality tier to the frame rate and pixel density.
+   */
+  function applyQuality() {
+    p.frameRate(quality.frameRate);
+    p.pixelDensity(quality.pixelDensity || p.displayDensity());
+  }
+  
+  /**
+   * Releases the page listeners when the sketch is removed (runs as part of p5's own remove()).
+   */
+  p.registerMethod('remove', () => {
+    if (stopWatchingMotion) stopWatchingMotion();
+    if (stopWatchingQuality) stopWatchingQuality();
+    if (stopWatchingVisibility) stopWatchingVisibility();
+    releaseScrollSource();
+    connectAudioSource(null);
+    window.removeEventListener('pointermove', handlePointerMove);
+    window.removeEventListener('pointerdown', handlePointerDown);
+    window.removeEventListener('pointerup', handlePointerUp);
+    window.removeEventListener('pointercancel', handlePointerUp);
+    window.removeEventListener('blur', handlePointerLeave);
+    document.documentElement.removeEventListener('pointerleave', handlePointerLeave);
+    window.removeEventListener('keydown', handleMeteorKey);
+    window.removeEventListener('deviceorientation', handleOrientation);
+    window.removeEventListener('click', requestOrientationAccess);
+    window.removeEventListener('touchend', requestOrientationAccess);
+  });
+  
+  /**
+   * Public control API, exposed as window.MunchkinScene.
+   * Lets page scripts, tests and tooling drive the background without scroll events.
    */
-  p.remove = () => {
-    if (auroraIntervalID) {
-      clearInterval(auroraIntervalID);
+  const sceneApi = {
+    /**
+     * Pins the scene to a timeline progress, or hands control back to scrolling.
+     * @param {number|null} t - Timeline progress (0-1), or null to follow the scroll position
+     */
+    setProgress(t) {
+      progressOverride = (t === null || t === undefined) ? null : p.constrain(Number(t) || 0, 0, 1);
+      updateScrollProgress();
+      if (!p.isLooping()) p.redraw();
+    },
+    
+    /**
+     * Follows a different scroll source: a scrolling element or selector, { element, axis: 'x' }
+     * for horizontal scrolling, a function returning the journey progress (0-1), or window
+     * to go back to page scrolling. The scene glides from its current position.
+     * @param {*} source - Scroll source description
+     */
+    setScrollSource(source) {
+      useScrollSource(source, scrollSource !== null); // Nothing to glide from before setup
+      if (!p.isLooping()) p.redraw();
+    },
+    
+    /**
+     * Audio-reactive mode: layers the frequency bands of a playing media element onto the
+     * scene (bass swells the aurora and the sunset waves, mids pulse the jellyfish, highs
+     * sparkle the stars and release more, faster bubbles). Scrolling keeps driving the journey.
+     * @param {HTMLMediaElement|string|null} source - <audio>/<video> element or selector, or null to leave the mode
+     */
+    setAudioSource(source) {
+      if (!connectAudioSource(source)) {
+        console.warn('MunchkinScene: audio-reactive mode needs an <audio> or <video> element and WebAudio support');
+      }
+    },
+    
+    /**
+     * Real-time clock mode: tints the journey by time of day. The sun follows its altitude,
+     * nights bring stars and the moon to the sky zone, dawns a pink aurora.
+     * @param {string|Date|Function|null} time - 'local' for the visitor's clock, a fixed Date or
+     *   date string, a function returning a Date, or null to leave the mode
+     */
+    setTime(time) {
+      timeSource = resolveTimeSource(time);
+      lastDaylightUpdate = -Infinity;
+      if (!p.isLooping()) p.redraw();
+    },
+    
+    /**
+     * Sets the date the moon phase and planet positions are computed for.
+     * @param {string|Date|Function|null} date - A Date or date string, a function returning a
+     *   Date, or null to follow the real-time clock mode's time (or the current date)
+     */
+    setSkyDate(date) {
+      skyDateSource = resolveTimeSource(date);
+      lastSkyUpdate = -Infinity;
+      if (!p.isLooping()) p.redraw();
+    },
+    
+    /**
+     * Changes the weather over the sky and sunset zones; it blends in over a few seconds.
+     * @param {string} name - 'clear', 'rain', 'snow', 'fog', 'storm' or 'windy' (unknown names clear it)
+     */
+    setWeather(name) {
+      weatherTarget = weatherPresets[resolveWeather(name)];
+    },
+    
+    /**
+     * Starts a meteor event now. It plays in the space zone (right away if it is on screen).
+     * @param {string} [type='shower'] - 'shower' or 'fireball'
+     * @param {number} [count] - Meteors in a shower (20-50 by default, at most the pool size)
+     */
+    triggerMeteors(type = 'shower', count) {
+      if (type === 'fireball') {
+        launchMeteor('fireball');
+      } else if (type === 'shower') {
+        startMeteorShower(count !== undefined ? Number(count) || 1 : undefined);
+      } else {
+        console.warn(`MunchkinScene: unknown meteor event "${type}" (expected shower or fireball)`);
+      }
+    },
+    
+    /**
+     * Sets how often meteors and meteor events come.
+     * @param {number} intensity - 0 (no new meteors) to 5, 1 by default
+     */
+    setMeteorIntensity(intensity) {
+      meteorIntensity = resolveMeteorIntensity(intensity);
+    },
+    
+    /**
+     * Switches the rocket design (the one on the pad or in flight changes right away).
+     * @param {string} name - 'classic', 'retro', 'midnight', or 'cycle' for a new design on every relaunch
+     */
+    setRocketDesign(name) {
+      rocket.cycleDesigns = name === 'cycle';
+      if (!rocket.cycleDesigns) rocket.design = resolveRocketDesign(name);
+      if (!p.isLooping()) p.redraw();
+    },
+    
+    /**
+     * Sets how many satellites and space stations orbit the space zone (new orbits are drawn).
+     * @param {number} count - Small satellites (0-8)
+     * @param {number} [stations] - Space stations (0-8), unchanged if omitted
+     */
+    setSatellites(count, stations) {
+      satelliteCount = resolveSatelliteCount(count, satelliteCount);
+      if (stations !== undefined) stationCount = resolveSatelliteCount(stations, stationCount);
+      buildSatellites();
+      if (!p.isLooping()) p.redraw();
+    },
+    
+    /** Stops the render loop (the last frame stays on screen). */
+    pause() {
+      paused = true;
+      syncLoop();
+    },
+    
+    /** Restarts the render loop after pause() (stays still while reduced motion is preferred or the tab is hidden). */
+    resume() {
+      paused = false;
+      syncLoop();
+    },
+    
+    /**
+     * Current zone state.
+     * @returns {Object} { name: dominant zone, progress: timeline progress, weights: zone weights }
+     */
+    getZone() {
+      return describeZone(calculateZone());
+    },
+    
+    /**
+     * Pins the rendering quality tier, or hands it back to the adaptive governor.
+     * @param {string} level - 'low', 'medium', 'high' or 'auto'
+     */
+    setQuality(level) {
+      if (!MunchkinCore.setQuality(level)) {
+        console.warn(`MunchkinScene: unknown quality "${level}" (expected ${Object.keys(qualityTiers).join(', ')} or auto)`);
+      }
+    },
+    
+    /** Removes the canvas, releases the page listeners and unregisters the API. */
+    destroy() {
+      p.remove();
+      if (window.MunchkinScene === sceneApi) {
+        delete window.MunchkinScene;
+      }
     }
   };
+  window.MunchkinScene = sceneApi;
 };
 
 // Initialize p5.js sketch in instance mode
@@ -0,0 +1,340 @@
+/**
+ * Munchkin Core
+ *
+ * Shared settings and helpers for the p5.js sketches (immersive_scroll.js,
+ * services-icons.js and project-animations.js). Must be loaded before them.
+ *
+ * Settings can be provided before this script loads through a plain object:
+ *
+ *   window.MunchkinSettings = { seed: 1234 };
+ *
+ * URL parameters take precedence over the settings object (e.g. `?seed=1234`).
+ *
+ * Quality: without an explicit `quality` ('low', 'medium' or 'high') a governor samples
+ * the page's frame times and steps the shared tier down when frames run slow and back up
+ * when there is headroom. Every sketch maps the tier to its own level of detail.
+ *
+ * Time: every sketch advances its animation with a clock from createClock(), so speeds are
+ * expressed per second and motion looks the same at 30, 60 or 120 Hz. Sketches stop their
+ * draw loop while the page is hidden (see onPageVisibilityChange) and resume without a jump.
+ */
+
+const MunchkinCore = (() => {
+  const settings = window.MunchkinSettings || {};
+  const params = new URLSearchParams(window.location.search);
+
+  /**
+   * Hashes a string to an unsigned 32-bit integer (FNV-1a).
+   * @param {string} str - Input string
+   * @returns {number} Hash value
+   */
+  function hashString(str) {
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Resolves the global seed from `?seed=`, then `MunchkinSettings.seed`.
+   * Numeric seeds are used as-is, any other text is hashed. Without a seed one is
+   * picked at random; it stays readable as `MunchkinCore.seed`, so any load can be
+   * reproduced afterwards.
+   * @returns {number} Unsigned 32-bit seed
+   */
+  function resolveSeed() {
+    const urlSeed = params.get('seed');
+    const value = urlSeed !== null ? urlSeed : settings.seed;
+
+    if (value !== undefined && value !== null && value !== '') {
+      const numeric = Number(value);
+      return Number.isInteger(numeric) ? numeric >>> 0 : hashString(String(value));
+    }
+
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  const seed = resolveSeed();
+
+  /**
+   * Seeds a sketch's random() and noise() generators from the global seed.
+   * The salt gives every sketch its own stream, so cards still differ from each
+   * other while the same seed always rebuilds the identical scene.
+   * @param {Object} p - p5 instance
+   * @param {string} salt - Stable identifier of the sketch (e.g. 'project-frozzy')
+   */
+  function seedSketch(p, salt) {
+    const sketchSeed = (seed ^ hashString(String(salt))) >>> 0;
+    p.randomSeed(sketchSeed);
+    p.noiseSeed(sketchSeed);
+  }
+
+  /**
+   * Creates a minimal listener list for one kind of change notification.
+   * @returns {Object} { subscribe(callback) -> unsubscribe function, emit(value) }
+   */
+  function createSignal() {
+    const listeners = [];
+    return {
+      subscribe(callback) {
+        listeners.push(callback);
+        return () => {
+          const index = listeners.indexOf(callback);
+          if (index !== -1) listeners.splice(index, 1);
+        };
+      },
+      emit(value) {
+        listeners.slice().forEach(callback => callback(value));
+      }
+    };
+  }
+
+  // Reduced motion (prefers-reduced-motion media query, tracked live)
+  const motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+  const motionSignal = createSignal();
+
+  /**
+   * Whether the visitor asked the system to minimize non-essential motion.
+   * @returns {boolean} True if animations should be replaced by still frames
+   */
+  function prefersReducedMotion() {
+    return !!(motionQuery && motionQuery.matches);
+  }
+
+  /**
+   * Registers a callback for live changes of the reduced-motion preference.
+   * @param {Function} callback - Called with the new prefersReducedMotion() value
+   * @returns {Function} Unsubscribes the callback
+   */
+  function onReducedMotionChange(callback) {
+    return motionSignal.subscribe(callback);
+  }
+
+  if (motionQuery) {
+    const notifyMotionListeners = () => motionSignal.emit(prefersReducedMotion());
+    if (motionQuery.addEventListener) {
+      motionQuery.addEventListener('change', notifyMotionListeners);
+    } else if (motionQuery.addListener) {
+      motionQuery.addListener(notifyMotionListeners); // Safari < 14
+    }
+  }
+
+  // Page visibility (tab switched to the background and back)
+  const visibilitySignal = createSignal();
+
+  /**
+   * Whether the page is currently hidden (background tab, minimized window).
+   * @returns {boolean} True while the page is not visible
+   */
+  function isPageHidden() {
+    return document.visibilityState === 'hidden';
+  }
+
+  /**
+   * Registers a callback for page visibility changes. Sketches stop their draw loop while
+   * hidden and resume their clock without a jump when the page comes back.
+   * @param {Function} callback - Called with the new isPageHidden() value
+   * @returns {Function} Unsubscribes the callback
+   */
+  function onPageVisibilityChange(callback) {
+    return visibilitySignal.subscribe(callback);
+  }
+
+  document.addEventListener('visibilitychange', () => visibilitySignal.emit(isPageHidden()));
+
+  // Animation clock
+  const maxClockStep = 0.25; // Longest step (s), so a stalled or throttled tab never makes things jump far
+  const warmupStep = 1 / 60;  // Step (s) used while a still frame is being prepared
+
+  /**
+   * Creates an animation clock for a sketch. Call tick() once at the top of draw() and
+   * scale every per-second speed by clock.dt.
+   * - clock.time: animation time in seconds (replaces p.frameCount / p.millis())
+   * - clock.dt: seconds since the previous tick
+   * - clock.fixedStep: when set, every tick advances exactly this many seconds
+   * @returns {Object} Clock
+   */
+  function createClock() {
+    let lastTick = null;
+    const clock = {
+      time: 0,
+      dt: 0,
+      fixedStep: null,
+
+      /**
+       * Advances the clock to the current frame.
+       * @returns {number} Seconds since the previous tick
+       */
+      tick() {
+        const now = performance.now();
+        const elapsed = lastTick === null ? 0 : (now - lastTick) / 1000;
+        lastTick = now;
+        clock.dt = clock.fixedStep !== null ? clock.fixedStep : Math.min(elapsed, maxClockStep);
+        clock.time += clock.dt;
+        return clock.dt;
+      },
+
+      /**
+       * Frame-rate independent lerp amount for easing toward a target.
+       * @param {number} rate - Approach rate per second (higher is snappier)
+       * @returns {number} Fraction of the remaining distance to cover this frame
+       */
+      damp(rate) {
+        return 1 - Math.exp(-rate * clock.dt);
+      },
+
+      /** Stops time: following ticks advance by 0 (still frames). */
+      freeze() {
+        clock.fixedStep = 0;
+      },
+
+      /** Lets time run again from now, after freeze() or a stopped draw loop, without a jump. */
+      resume() {
+        clock.fixedStep = null;
+        lastTick = null;
+      }
+    };
+    return clock;
+  }
+
+  /**
+   * Stops a sketch's draw loop and leaves a single representative frame on the canvas.
+   * The sketch is first stepped `warmupFrames` 60fps frames ahead (e.g. so falling particles
+   * are on screen), then its clock is frozen. Can be called from setup(): the frame is
+   * rendered once setup has finished.
+   * @param {Object} p - p5 instance
+   * @param {Object} clock - The sketch's clock (see createClock)
+   * @param {number} warmupFrames - Number of frames to step before the still frame
+   */
+  function freezeSketch(p, clock, warmupFrames) {
+    p.noLoop();
+    setTimeout(() => {
+      clock.fixedStep = warmupStep;
+      p.redraw(warmupFrames);
+      clock.freeze();
+    }, 0);
+  }
+
+  // Adaptive quality governor
+  const qualityLevels = ['low', 'medium', 'high'];
+  const requestedQuality = params.get('quality') || settings.quality;
+  let qualityLevel = qualityLevels.includes(requestedQuality) ? requestedQuality : 'high';
+  let qualityPinned = qualityLevels.includes(requestedQuality); // Explicit choice: governor stays idle
+  const qualitySignal = createSignal();
+  const governor = {
+    windowSize: 90,      // Frames per evaluation window
+    slowFrameMs: 22,     // Average above this (below ~45fps) steps the tier down
+    fastFrameMs: 18,     // Average below this (~55fps and up) counts as headroom
+    maxGapMs: 250,       // Longer gaps (hidden tab, debugger) are not frame times
+    fastWindowsNeeded: 3, // Headroom windows before stepping up (doubles after every step down)
+    fastWindows: 0,
+    samples: [],
+    lastTime: null
+  };
+
+  /**
+   * Current shared quality tier.
+   * @returns {string} 'low', 'medium' or 'high'
+   */
+  function getQuality() {
+    return qualityLevel;
+  }
+
+  /**
+   * Pins the quality tier (the governor stops adjusting it), or hands it back to the
+   * governor with 'auto'.
+   * @param {string} level - 'low', 'medium', 'high' or 'auto'
+   * @returns {boolean} False if the level is unknown
+   */
+  function setQuality(level) {
+    if (level === 'auto') {
+      qualityPinned = false;
+      governor.samples = [];
+      governor.fastWindows = 0;
+      return true;
+    }
+    if (!qualityLevels.includes(level)) return false;
+    qualityPinned = true;
+    changeQuality(level);
+    return true;
+  }
+
+  /**
+   * Registers a callback for quality tier changes.
+   * @param {Function} callback - Called with the new tier name
+   * @returns {Function} Unsubscribes the callback
+   */
+  function onQualityChange(callback) {
+    return qualitySignal.subscribe(callback);
+  }
+
+  /**
+   * Switches the tier and notifies the sketches.
+   * @param {string} level - New tier name
+   */
+  function changeQuality(level) {
+    if (level === qualityLevel) return;
+    qualityLevel = level;
+    qualitySignal.emit(level);
+  }
+
+  /**
+   * Collects frame times on every animation frame and re-evaluates the tier once per window.
+   * @param {number} now - requestAnimationFrame timestamp (ms)
+   */
+  function sampleFrame(now) {
+    if (!qualityPinned && governor.lastTime !== null) {
+      const frameTime = now - governor.lastTime;
+      if (frameTime < governor.maxGapMs) governor.samples.push(frameTime);
+      if (governor.samples.length >= governor.windowSize) evaluateQuality();
+    }
+    governor.lastTime = now;
+    window.requestAnimationFrame(sampleFrame);
+  }
+
+  /**
+   * Steps the tier down after a slow window, or up after enough windows with headroom.
+   */
+  function evaluateQuality() {
+    const average = governor.samples.reduce((sum, t) => sum + t, 0) / governor.samples.length;
+    governor.samples = [];
+    const index = qualityLevels.indexOf(qualityLevel);
+
+    if (average > governor.slowFrameMs) {
+      governor.fastWindows = 0;
+      if (index > 0) {
+        governor.fastWindowsNeeded *= 2; // Back off so the tiers don't oscillate
+        changeQuality(qualityLevels[index - 1]);
+      }
+    } else if (average < governor.fastFrameMs && index < qualityLevels.length - 1) {
+      governor.fastWindows++;
+      if (governor.fastWindows >= governor.fastWindowsNeeded) {
+        governor.fastWindows = 0;
+        changeQuality(qualityLevels[index + 1]);
+      }
+    } else {
+      governor.fastWindows = 0;
+    }
+  }
+
+  if (window.requestAnimationFrame) window.requestAnimationFrame(sampleFrame);
+
+  return {
+    seed,
+    settings,
+    params,
+    hashString,
+    seedSketch,
+    prefersReducedMotion,
+    onReducedMotionChange,
+    isPageHidden,
+    onPageVisibilityChange,
+    createClock,
+    freezeSketch,
+    getQuality,
+    setQuality,
+    onQualityChange
+  };
+})();
@@ -12,6 +12,8 @@
  * - TBA projects: Various experimental animations
  * 
  * Animations respond to hover state with color transitions and spotlight effects.
+ * When the visitor prefers reduced motion, each card freezes on a single representative frame
+ * (repainted only when the hover state changes).
  */
 
 function initProjectAnimations() {
@@ -26,11 +28,17 @@ function initProjectAnimations() {
     return;
   }
   
+  // Card frame rate per quality tier (stepped by the MunchkinCore governor)
+  const cardFrameRates = { low: 24, medium: 40, high: 60 };
+  
   containers.forEach((container) => {
     const projectType = container.getAttribute('data-project');
     
     const sketch = (p) => {
       let isVisible = true;
+      let stillMode = MunchkinCore.prefersReducedMotion(); // Frozen frame for prefers-reduced-motion
+      const stillFrameWarmup = 120; // Frames stepped before freezing (particles settled, grass grown)
+      const clock = MunchkinCore.createClock(); // Animation time; speeds below are per second, scaled by clock.dt
       let particles = [];
       let deepSkyBlue, lighterSkyBlue;
       let waveColors = [];
@@ -108,7 +116,10 @@ function initProjectAnimations() {
         canvas.style('display', 'block');
         
         p.pixelDensity(1);
-        p.frameRate(60);
+        p.frameRate(cardFrameRates[MunchkinCore.getQuality()]);
+        
+        // Seed random() and noise() per card so the same seed gives identical animations
+        MunchkinCore.seedSketch(p, 'project-' + projectType);
         
         // Deep sky blue gradient colors
         deepSkyBlue = p.color(0, 71, 171);      // Deep sky blue (darker)
@@ -151,7 +162,7 @@ function initProjectAnimations() {
             });
           }
           
-          cycleStartTime = p.millis();
+          cycleStartTime = clock.time * 1000;
         }
 
         // Set up Intersection Observer
@@ -170,18 +181,69 @@ function initProjectAnimations() {
         if (projectCardLink) {
           projectCardLink.addEventListener('mouseenter', () => {
             targetHoverProgress = 1;
+            redrawStillHover();
           });
           projectCardLink.addEventListener('mouseleave', () => {
             targetHoverProgress = 0;
+            redrawStillHover();
           });
         }
+        
+        // Reduced motion: freeze on a still frame and follow live preference changes
+        if (stillMode) MunchkinCore.freezeSketch(p, clock, stillFrameWarmup);
+        MunchkinCore.onReducedMotionChange(applyMotionPreference);
+        
+        // Cards drop their frame rate when the quality governor steps down
+        MunchkinCore.onQualityChange(level => p.frameRate(cardFrameRates[level]));
+        
+        // Stop drawing while the tab is in the background
+        if (MunchkinCore.isPageHidden()) p.noLoop();
+        MunchkinCore.onPageVisibilityChange(hidden => {
+          if (hidden) {
+            p.noLoop();
+          } else {
+            resumeLoop();
+          }
+        });
       };
       
+      /**
+       * Freezes or restarts the animation when the reduced-motion preference changes.
+       * @param {boolean} reduced - True to show a single still frame
+       */
+      function applyMotionPreference(reduced) {
+        stillMode = reduced;
+        if (reduced) {
+          MunchkinCore.freezeSketch(p, clock, stillFrameWarmup);
+        } else {
+          resumeLoop();
+        }
+      }
+      
+      /**
+       * Restarts the draw loop unless the card is frozen for reduced motion or the tab is hidden.
+       */
+      function resumeLoop() {
+        if (stillMode || MunchkinCore.isPageHidden() || p.isLooping()) return;
+        clock.resume();
+        p.loop();
+      }
+      
+      /**
+       * Repaints a frozen card with the new hover state, jumping straight to it.
+       */
+      function redrawStillHover() {
+        if (!stillMode) return;
+        hoverProgress = targetHoverProgress;
+        p.redraw();
+      }
+      
       p.draw = () => {
-        if (!isVisible) return;
+        if (!isVisible && !stillMode) return;
+        clock.tick();
         
         // Smoothly transition hover progress
-        hoverProgress = p.lerp(hoverProgress, targetHoverProgress, 0.1);
+        hoverProgress = p.lerp(hoverProgress, targetHoverProgress, clock.damp(6));
         
         // Clear canvas first
         p.clear();
@@ -272,14 +334,14 @@ function initProjectAnimations() {
         const waveColor2 = p.lerpColor(restWhite, activeLightCyan, hoverProgress);
         waveColors = [waveColor0, waveColor1, waveColor2];
         
-        const currentTime = p.millis();
+        const currentTime = clock.time * 1000;
         const cycleTime = (currentTime - cycleStartTime) % cycleDuration;
         const cycleProgress = cycleTime / cycleDuration;
         
         const state = getCurrentState(cycleProgress);
         const stateProgress = getStateProgress(cycleProgress, state);
         
-        const t = p.frameCount * 0.01;
+        const t = clock.time * 0.6;
         
         // Sine wave parameters (3 waves spread evenly across canvas)
         const numWaves = 3;
@@ -293,11 +355,11 @@ function initProjectAnimations() {
         const waveSpeed = 0.02; // Speed of wave animation
         
         // Update red dot phases based on state
-        const dotSpeed = 0.015; // Speed of red dot movement
+        const dotSpeed = 0.9; // Speed of red dot movement (radians/s)
         if (state === STATE_ORDER || state === STATE_ORDERING) {
           // In order states: move along wave
           for (let i = 0; i < numWaves; i++) {
-            redDotPhases[i] = (redDotPhases[i] + dotSpeed) % (p.TWO_PI * 2); // Loop around
+            redDotPhases[i] = (redDotPhases[i] + dotSpeed * clock.dt) % (p.TWO_PI * 2); // Loop around
           }
         } else {
           // In chaos states: don't update phases (use time-based noise instead)
@@ -309,16 +371,16 @@ function initProjectAnimations() {
           if (state === STATE_CHAOS) {
             // Organic drifting using Perlin noise (chaos phase)
             const noiseScale = 0.005;
-            const driftSpeed = 0.5;
+            const driftSpeed = 30; // per second
             
-            particle.noiseX += noiseScale * driftSpeed;
-            particle.noiseY += noiseScale * driftSpeed;
+            particle.noiseX += noiseScale * driftSpeed * clock.dt;
+            particle.noiseY += noiseScale * driftSpeed * clock.dt;
             
             const noiseX = p.noise(particle.noiseX) * w;
             const noiseY = p.noise(particle.noiseY) * h;
             
-            particle.x = p.lerp(particle.x, noiseX, 0.05);
-            particle.y = p.lerp(particle.y, noiseY, 0.05);
+            particle.x = p.lerp(particle.x, noiseX, clock.damp(3));
+            particle.y = p.lerp(particle.y, noiseY, clock.damp(3));
             
             particle.currentX = particle.x;
             particle.currentY = particle.y;
@@ -362,17 +424,17 @@ function initProjectAnimations() {
           } else if (state === STATE_DISPERSING) {
             // Update chaos target position while dispersing
             const noiseScale = 0.005;
-            const driftSpeed = 0.5;
+            const driftSpeed = 30; // per second
             
-            particle.noiseX += noiseScale * driftSpeed;
-            particle.noiseY += noiseScale * driftSpeed;
+            particle.noiseX += noiseScale * driftSpeed * clock.dt;
+            particle.noiseY += noiseScale * driftSpeed * clock.dt;
             
             const noiseX = p.noise(particle.noiseX) * w;
             const noiseY = p.noise(particle.noiseY) * h;
             
             // Update chaos target smoothly
-            particle.x = p.lerp(particle.x, noiseX, 0.05);
-            particle.y = p.lerp(particle.y, noiseY, 0.05);
+            particle.x = p.lerp(particle.x, noiseX, clock.damp(3));
+            particle.y = p.lerp(particle.y, noiseY, clock.damp(3));
             
             // Disperse back to chaos position (from wave to chaos)
             const easeProgress = easeInOutCubic(stateProgress);
@@ -598,13 +660,13 @@ function initProjectAnimations() {
         }
         
         // Increment theta slowly for smooth drawing
-        const thetaIncrement = 0.02;
-        const maxAge = 4000; // Frames before complete fade
+        const thetaSpeed = 1.2; // radians/s
+        const maxAge = 66; // Seconds before complete fade
         
         // Update and draw each particle
         spiroParticles.forEach(particle => {
           // Update theta
-          particle.theta += thetaIncrement;
+          particle.theta += thetaSpeed * clock.dt;
           
           // Reset if theta gets extremely large to prevent overflow
           if (particle.theta > p.TWO_PI * 100) {
@@ -621,7 +683,7 @@ function initProjectAnimations() {
           
           // Age all points and remove old ones (fade out effect)
           particle.path = particle.path.filter(point => {
-            point.age++;
+            point.age += clock.dt;
             return point.age < maxAge;
           });
         });
@@ -721,12 +783,12 @@ function initProjectAnimations() {
         // Project identity color (Dandelion Yellow for DAW Plugins in dark mode)
         const dandelionYellow = p.color(255, 225, 53); // Dandelion Yellow (#FFE135)
         
-        const t = p.frameCount * 0.01;
+        const t = clock.time * 0.6;
         const numFaders = 5;
         const padding = w * 0.15;
         const trackAreaWidth = w - (padding * 2);
         const trackSpacing = trackAreaWidth / (numFaders + 1);
-        const maxTrailLength = 50;
+        const maxTrailAge = 0.8; // Seconds a trail point stays visible
         
         // Initialize faders if not already done
         if (faders.length === 0) {
@@ -759,8 +821,8 @@ function initProjectAnimations() {
           fader.trail.push({ x: fader.trackX, y: fader.y, age: 0 });
           
           // Age and limit trail length
-          fader.trail.forEach(point => point.age++);
-          fader.trail = fader.trail.filter(point => point.age < maxTrailLength);
+          fader.trail.forEach(point => { point.age += clock.dt; });
+          fader.trail = fader.trail.filter(point => point.age < maxTrailAge);
           
           // Draw vertical track - always pure white (not affected by hover)
           // Explicitly set RGB mode to ensure white color
@@ -783,7 +845,7 @@ function initProjectAnimations() {
               const curr = fader.trail[i];
               
               // Calculate alpha based on age (fade out older parts)
-              const alpha = p.map(curr.age, 0, maxTrailLength, 200, 0);
+              const alpha = p.map(curr.age, 0, maxTrailAge, 200, 0);
               
               if (alpha > 5) {
                 // Lerp from rest white to dandelion yellow based on hover
@@ -855,11 +917,11 @@ function initProjectAnimations() {
               sequencerGrid[row][col] = p.random() < 0.3;
             }
           }
-          sequencerPatternChangeTime = p.millis();
+          sequencerPatternChangeTime = clock.time * 1000;
         }
         
         // Change pattern periodically (generative aspect)
-        const currentTime = p.millis();
+        const currentTime = clock.time * 1000;
         if (currentTime - sequencerPatternChangeTime > sequencerPatternDuration) {
           // Generate new random pattern
           for (let row = 0; row < gridRows; row++) {
@@ -964,7 +1026,7 @@ function initProjectAnimations() {
         const zone2End = (w * 2) / 3; // End of Zone 2 (Modulation: Square/Triangle)
         
         // Increment time for continuous flow
-        signalChainTime += 0.05;
+        signalChainTime += 3 * clock.dt;
         
         // Draw vertical markers (gates/nodes) for visual separation
         p.push();
@@ -1086,7 +1148,7 @@ function initProjectAnimations() {
         }
         
         // 8-bit jerky animation: update only every 500ms
-        const currentTime = p.millis();
+        const currentTime = clock.time * 1000;
         if (currentTime - frozzyLastGrassEat > 500) {
           frozzyAnimationFrame++;
           frozzyLastGrassEat = currentTime;
@@ -1109,10 +1171,10 @@ function initProjectAnimations() {
                   frozzyParticles.push({
                     x: i * pixelSize + pixelSize / 2,
                     y: p.height - pixelSize * 2 - (frozzyGrassGrowth[i] * pixelSize),
-                    vx: p.random(-0.5, 0.5),
-                    vy: p.random(-2, -0.5),
-                    life: 30,
-                    maxLife: 30
+                    vx: p.random(-30, 30), // px/s
+                    vy: p.random(-120, -30), // px/s
+                    life: 0.5, // seconds
+                    maxLife: 0.5
                   });
                 }
               }
@@ -1122,9 +1184,9 @@ function initProjectAnimations() {
         
         // Update and draw particles
         frozzyParticles = frozzyParticles.filter(particle => {
-          particle.x += particle.vx;
-          particle.y += particle.vy;
-          particle.life--;
+          particle.x += particle.vx * clock.dt;
+          particle.y += particle.vy * clock.dt;
+          particle.life -= clock.dt;
           
           if (particle.life > 0) {
             const alpha = p.map(particle.life, 0, particle.maxLife, 0, 255);
@@ -1266,8 +1328,8 @@ function initProjectAnimations() {
             tba1Particles.push({
               x: p.random(w),
               y: p.random(h),
-              vx: p.random(-1, 1),
-              vy: p.random(-1, 1),
+              vx: p.random(-60, 60), // px/s
+              vy: p.random(-60, 60), // px/s
               noiseX: p.random(1000),
               noiseY: p.random(1000),
               size: p.random(2, 4)
@@ -1285,12 +1347,12 @@ function initProjectAnimations() {
           const noiseX = p.noise(particle.noiseX) * 2 - 1;
           const noiseY = p.noise(particle.noiseY) * 2 - 1;
           
-          // Update velocity with noise (flocking behavior)
-          particle.vx += noiseX * 0.1;
-          particle.vy += noiseY * 0.1;
+          // Update velocity with noise (flocking behavior, px/s per second)
+          particle.vx += noiseX * 360 * clock.dt;
+          particle.vy += noiseY * 360 * clock.dt;
           
           // Limit velocity
-          const maxSpeed = 2;
+          const maxSpeed = 120; // px/s
           const speed = p.sqrt(particle.vx * particle.vx + particle.vy * particle.vy);
           if (speed > maxSpeed) {
             particle.vx = (particle.vx / speed) * maxSpeed;
@@ -1298,8 +1360,8 @@ function initProjectAnimations() {
           }
           
           // Update position
-          particle.x += particle.vx;
-          particle.y += particle.vy;
+          particle.x += particle.vx * clock.dt;
+          particle.y += particle.vy * clock.dt;
           
           // Wrap around edges
           if (particle.x < 0) particle.x = w;
@@ -1308,8 +1370,8 @@ function initProjectAnimations() {
           if (particle.y > h) particle.y = 0;
           
           // Update noise offsets
-          particle.noiseX += 0.01;
-          particle.noiseY += 0.01;
+          particle.noiseX += 0.6 * clock.dt;
+          particle.noiseY += 0.6 * clock.dt;
           
           // Draw particle with glow effect
           const alpha = 150 + hoverProgress * 105;
@@ -1372,7 +1434,7 @@ function initProjectAnimations() {
         }
         
         // Update glitch lines
-        const currentTime = p.millis();
+        const currentTime = clock.time * 1000;
         if (currentTime - tba2LastGlitch > 100) {
           tba2LastGlitch = currentTime;
           
@@ -1426,13 +1488,13 @@ function initProjectAnimations() {
         const activeColor = p.lerpColor(restColor, hotPink, hoverProgress);
         
         // Create new pulse every 1.5 seconds (heartbeat rhythm)
-        const currentTime = p.millis();
+        const currentTime = clock.time * 1000;
         if (currentTime - tba3LastPulse > 1500) {
           tba3Pulses.push({
             radius: 0,
             maxRadius: w * 0.6,
-            life: 60,
-            maxLife: 60
+            life: 1, // seconds
+            maxLife: 1
           });
           tba3LastPulse = currentTime;
         }
@@ -1449,8 +1511,8 @@ function initProjectAnimations() {
         p.noFill();
         
         tba3Pulses = tba3Pulses.filter(pulse => {
-          pulse.radius += pulse.maxRadius / pulse.maxLife;
-          pulse.life--;
+          pulse.radius += pulse.maxRadius / pulse.maxLife * clock.dt;
+          pulse.life -= clock.dt;
           
           if (pulse.life > 0) {
             // Calculate alpha with higher base opacity for better visibility
@@ -1546,7 +1608,7 @@ function initProjectAnimations() {
         const h = p.height;
         
         // Particle swarm (Purple)
-        const t = p.frameCount * 0.01;
+        const t = clock.time * 0.6;
         const numParticles = 50;
         const accentColor = p.color(138, 43, 226); // Blue violet
         
@@ -1555,24 +1617,24 @@ function initProjectAnimations() {
             placeholder1Particles.push({
               x: p.random(w),
               y: p.random(h),
-              vx: p.random(-1, 1),
-              vy: p.random(-1, 1),
+              vx: p.random(-60, 60), // px/s
+              vy: p.random(-60, 60), // px/s
               size: p.random(2, 4)
             });
           }
         }
         
         placeholder1Particles.forEach(particle => {
-          particle.x += particle.vx;
-          particle.y += particle.vy;
+          particle.x += particle.vx * clock.dt;
+          particle.y += particle.vy * clock.dt;
           
           if (particle.x < 0 || particle.x > w) particle.vx *= -1;
           if (particle.y < 0 || particle.y > h) particle.vy *= -1;
           
           const noiseX = p.noise(particle.x * 0.01, t) * 2 - 1;
           const noiseY = p.noise(particle.y * 0.01, t + 100) * 2 - 1;
-          particle.vx += noiseX * 0.1;
-          particle.vy += noiseY * 0.1;
+          particle.vx += noiseX * 360 * clock.dt;
+          particle.vy += noiseY * 360 * clock.dt;
           
           p.fill(p.red(accentColor), p.green(accentColor), p.blue(accentColor), 150);
           p.noStroke();
@@ -1588,7 +1650,7 @@ function initProjectAnimations() {
         const cy = h / 2;
         
         // Rotating geometric shapes (Teal)
-        const t = p.frameCount * 0.02;
+        const t = clock.time * 1.2;
         const accentColor = p.color(0, 206, 209); // Dark turquoise
         
         p.push();
@@ -1616,7 +1678,7 @@ function initProjectAnimations() {
         const h = p.height;
         
         // Wave patterns (Pink)
-        const t = p.frameCount * 0.015;
+        const t = clock.time * 0.9;
         const accentColor = p.color(255, 20, 147); // Deep pink
         const numWaves = 5;
         
@@ -1648,7 +1710,7 @@ function initProjectAnimations() {
         const h = p.height;
         
         // Grid network (Cyan)
-        const t = p.frameCount * 0.01;
+        const t = clock.time * 0.6;
         const accentColor = p.color(0, 255, 255); // Cyan
         const gridSize = 8;
         const nodes = [];
@@ -1666,7 +1728,7 @@ function initProjectAnimations() {
         }
         
         placeholder4Nodes.forEach(node => {
-          node.pulse += 0.05;
+          node.pulse += 3 * clock.dt;
           const size = 3 + p.sin(node.pulse) * 2;
           
           p.fill(p.red(accentColor), p.green(accentColor), p.blue(accentColor), 180);
@@ -1700,7 +1762,7 @@ function initProjectAnimations() {
         const cy = h / 2;
         
         // Orbiting circles (Magenta)
-        const t = p.frameCount * 0.02;
+        const t = clock.time * 1.2;
         const accentColor = p.color(255, 0, 255); // Magenta
         const numOrbits = 3;
         
@@ -1727,7 +1789,7 @@ function initProjectAnimations() {
         const h = p.height;
         
         // Flowing stream of particles (Coral/Salmon)
-        const t = p.frameCount * 0.015;
+        const t = clock.time * 0.9;
         const accentColor = p.color(255, 127, 80); // Coral
         const numParticles = 40;
         
@@ -1737,7 +1799,7 @@ function initProjectAnimations() {
             p.placeholder6Particles.push({
               x: p.random(w),
               y: p.random(h),
-              speed: p.random(0.5, 2),
+              speed: p.random(30, 120), // px/s
               size: p.random(3, 6),
               phase: p.random(p.TWO_PI)
             });
@@ -1746,7 +1808,7 @@ function initProjectAnimations() {
         
         p.placeholder6Particles.forEach((particle, index) => {
           // Move particles in a flowing wave pattern
-          particle.x += particle.speed;
+          particle.x += particle.speed * clock.dt;
           particle.y = h / 2 + p.sin(particle.x * 0.02 + particle.phase + t) * (h * 0.3);
           
           // Wrap around horizontally
@@ -1763,7 +1825,7 @@ function initProjectAnimations() {
           
           // Draw small trailing particles
           for (let i = 1; i <= 3; i++) {
-            const trailX = particle.x - i * particle.speed * 2;
+            const trailX = particle.x - i * particle.speed / 30; // Spaced by the distance of 1/30 s
             const trailY = particle.y - p.sin(particle.x * 0.02 + particle.phase + t - i * 0.1) * (h * 0.3);
             const trailAlpha = alpha * (1 - i * 0.3);
             if (trailAlpha > 20 && trailX > 0) {
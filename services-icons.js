@@ -12,7 +12,8 @@
  * - Index 5 (Strategy): Compass with rotating arrow and strategic grid
  * 
  * All animations use a unified color palette (aurora green, purple, cyan) and respond to
- * visibility state for performance optimization.
+ * visibility state for performance optimization. When the visitor prefers reduced motion,
+ * each icon freezes on a single representative frame instead.
  */
 
 function initServicesIcons() {
@@ -27,6 +28,9 @@ function initServicesIcons() {
     return;
   }
   
+  // Card frame rate per quality tier (stepped by the MunchkinCore governor)
+  const cardFrameRates = { low: 24, medium: 40, high: 60 };
+  
   containers.forEach((container) => {
     const cardIndex = parseInt(container.getAttribute('data-index'), 10);
     
@@ -36,6 +40,9 @@ function initServicesIcons() {
       let connections = [];
       let matrixChars = [];
       let isVisible = true; // Default to true to ensure it starts moving
+      let stillMode = MunchkinCore.prefersReducedMotion(); // Frozen frame for prefers-reduced-motion
+      const stillFrameWarmup = 80; // Frames stepped before freezing (network lit, rain on screen)
+      const clock = MunchkinCore.createClock(); // Speeds below are per second, scaled by clock.dt
 
       p.setup = () => {
         const containerWidth = container.offsetWidth || 300;
@@ -44,7 +51,10 @@ function initServicesIcons() {
         canvas.style('display', 'block');
         
         p.pixelDensity(1);
-        p.frameRate(60);
+        p.frameRate(cardFrameRates[MunchkinCore.getQuality()]);
+        
+        // Seed random() and noise() per card so the same seed gives identical icons
+        MunchkinCore.seedSketch(p, 'service-' + cardIndex);
         
         auroraGreen = p.color(0, 255, 180);
         auroraPurple = p.color(150, 50, 200);
@@ -83,7 +93,7 @@ function initServicesIcons() {
             matrixChars.push({
               x: p.random(0, containerWidth),
               y: p.random(-100, 0),
-              speed: p.random(0.4, 1.2),
+              speed: p.random(24, 72), // px/s
               char: chars[Math.floor(p.random(chars.length))],
               color: charCol
             });
@@ -100,14 +110,32 @@ function initServicesIcons() {
           const card = container.closest('.service-card') || container;
           observer.observe(card);
         }
+        
+        // Reduced motion: freeze on a still frame and follow live preference changes
+        if (stillMode) MunchkinCore.freezeSketch(p, clock, stillFrameWarmup);
+        MunchkinCore.onReducedMotionChange(applyMotionPreference);
+        
+        // Cards drop their frame rate when the quality governor steps down
+        MunchkinCore.onQualityChange(level => p.frameRate(cardFrameRates[level]));
+        
+        // Stop drawing while the tab is in the background
+        if (MunchkinCore.isPageHidden()) p.noLoop();
+        MunchkinCore.onPageVisibilityChange(hidden => {
+          if (hidden) {
+            p.noLoop();
+          } else {
+            resumeLoop();
+          }
+        });
       };
       
       p.draw = () => {
         p.clear();
-        if (!isVisible) return;
+        if (!isVisible && !stillMode) return;
         
-        // Use frameCount for guaranteed continuous time
-        const t = p.frameCount * 0.02; 
+        // Animation phase from the clock, identical at any frame rate
+        clock.tick();
+        const t = clock.time * 1.2;
         
         switch (cardIndex) {
           case 0: drawNetwork(p, t); break;
@@ -121,7 +149,7 @@ function initServicesIcons() {
       
       function drawNetwork(p, t) {
         // Ping-pong progress (0 to 1 back to 0)
-        // Faster cycle: Math.sin(t) goes 0->1->0 every ~314 frames
+        // Faster cycle: Math.sin(t) goes 0->1->0 every ~5 seconds
         const progress = (p.sin(t) + 1) / 2; 
         const totalLines = connections.length;
         
@@ -322,18 +350,18 @@ function initServicesIcons() {
       function drawMatrixRain(p, t) {
         const chars = ['/', '\\', '█', '▓', '▒', '░', '*', '+', '-', '·', '×', '÷', '≈', '∆', 'λ'];
         matrixChars.forEach(c => {
-          c.y += c.speed;
+          c.y += c.speed * clock.dt;
           if (c.y > p.height) { 
             c.y = -20; 
             c.x = p.random(p.width); 
           }
           
           // INCREASED FLICKER: 
-          // 1. Swap character more frequently (back to 0.08)
-          if (p.random() < 0.08) c.char = chars[Math.floor(p.random(chars.length))];
+          // 1. Swap character more frequently (~5 times per second)
+          if (p.random() < 4.8 * clock.dt) c.char = chars[Math.floor(p.random(chars.length))];
           
-          // 2. High-intensity flicker (randomly boost brightness for a single frame)
-          const isFlickering = p.random() < 0.1;
+          // 2. High-intensity flicker (randomly boost brightness for a single frame, ~6 times per second)
+          const isFlickering = p.random() < 6 * clock.dt;
           const flickerBoost = isFlickering ? 1.5 : 1.0;
           
           const alphaBase = p.map(c.y, -20, p.height, 40, 220);
@@ -470,6 +498,28 @@ function initServicesIcons() {
         p.circle(cx, cy, 2);
       }
 
+      /**
+       * Freezes or restarts the icon when the reduced-motion preference changes.
+       * @param {boolean} reduced - True to show a single still frame
+       */
+      function applyMotionPreference(reduced) {
+        stillMode = reduced;
+        if (reduced) {
+          MunchkinCore.freezeSketch(p, clock, stillFrameWarmup);
+        } else {
+          resumeLoop();
+        }
+      }
+      
+      /**
+       * Restarts the draw loop unless the card is frozen for reduced motion or the tab is hidden.
+       */
+      function resumeLoop() {
+        if (stillMode || MunchkinCore.isPageHidden() || p.isLooping()) return;
+        clock.resume();
+        p.loop();
+      }
+
       p.windowResized = () => {
         p.resizeCanvas(container.offsetWidth || 300, 80);
       };
@@ -0,0 +1,387 @@
+/**
+ * Munchkin Soundscape
+ *
+ * An opt-in ambient soundscape for the immersive background, synthesised with the WebAudio
+ * API: no audio files, in keeping with the zero-asset constraint. Every zone has its own
+ * layer and the layers crossfade with the zone weights carried by the scene's `zoneprogress`
+ * events:
+ *
+ * - Space: a slow, detuned low drone
+ * - Aurora: a shimmering high chord
+ * - Sky: gusting wind and the odd bird call
+ * - Sunset: waves rolling in and out
+ * - Deep Sea: a muffled underwater rumble with rising bubbles
+ *
+ * Muted by default. The `.sound-toggle` button in the navigation switches it on and off
+ * (browsers only let audio start from a user gesture). Other scripts can use
+ * `window.MunchkinSoundscape` ({ enable, disable, toggle, isEnabled }).
+ * Must be loaded after munchkin-core.js.
+ */
+
+const MunchkinSoundscape = (() => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const masterLevel = 0.5;
+  const fadeTime = 0.6;      // Time constant (s) of the master fade in and out
+  const crossfadeTime = 0.4; // Time constant (s) of the zone layer crossfades
+  const accentTick = 0.25;   // Seconds between rolls for one-shot accents (bird calls, bubbles)
+
+  /**
+   * Zone layers. `level` is the layer's gain at full zone weight, `accentRate` the average
+   * number of one-shot accents per second at full weight (for layers that have them).
+   */
+  const layerDefinitions = {
+    space: { level: 0.5, build: buildSpaceDrone },
+    aurora: { level: 0.35, build: buildAuroraShimmer },
+    sky: { level: 0.45, build: buildSkyWind, accentRate: 0.5 },
+    sunset: { level: 0.5, build: buildSunsetWaves },
+    deepSea: { level: 0.6, build: buildDeepSeaRumble, accentRate: 1.5 }
+  };
+
+  let audio = null;  // AudioContext, created on the first enable() (needs a user gesture)
+  let master = null;
+  let noiseBuffer = null;
+  let layers = {};   // Zone name -> { gain, level, accent, accentRate }
+  let weights = {};  // Latest zone weights from the scene
+  let enabled = false;
+  let accentTimer = null;
+  let suspendTimer = null;
+
+  /**
+   * Builds the audio graph: one gain per zone layer into a shared master gain.
+   */
+  function buildGraph() {
+    audio = new AudioContextClass();
+    master = audio.createGain();
+    master.gain.value = 0;
+    master.connect(audio.destination);
+    noiseBuffer = createNoiseBuffer(2);
+
+    Object.keys(layerDefinitions).forEach(name => {
+      const definition = layerDefinitions[name];
+      const gain = audio.createGain();
+      gain.gain.value = 0;
+      gain.connect(master);
+      layers[name] = {
+        gain,
+        level: definition.level,
+        accent: definition.build(gain) || null,
+        accentRate: definition.accentRate || 0
+      };
+    });
+  }
+
+  // Building blocks
+
+  /**
+   * Fills a buffer with white noise (the raw material for wind, waves and water).
+   * @param {number} seconds - Buffer length
+   * @returns {AudioBuffer} Mono noise buffer
+   */
+  function createNoiseBuffer(seconds) {
+    const buffer = audio.createBuffer(1, Math.floor(audio.sampleRate * seconds), audio.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+  }
+
+  /**
+   * Starts a looping noise source.
+   * @returns {AudioBufferSourceNode} Running noise source
+   */
+  function createNoise() {
+    const source = audio.createBufferSource();
+    source.buffer = noiseBuffer;
+    source.loop = true;
+    source.start();
+    return source;
+  }
+
+  /**
+   * Creates a biquad filter.
+   * @param {string} type - Filter type (e.g. 'lowpass')
+   * @param {number} frequency - Cutoff or centre frequency (Hz)
+   * @param {number} q - Quality factor
+   * @returns {BiquadFilterNode} Filter
+   */
+  function createFilter(type, frequency, q) {
+    const filter = audio.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = q;
+    return filter;
+  }
+
+  /**
+   * Starts an oscillator feeding a gain node.
+   * @param {string} type - Oscillator type
+   * @param {number} frequency - Frequency (Hz)
+   * @param {number} level - Gain of the oscillator
+   * @param {AudioNode} output - Destination node
+   * @returns {GainNode} The oscillator's gain (its gain param can be modulated)
+   */
+  function createTone(type, frequency, level, output) {
+    const oscillator = audio.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.value = frequency;
+    const gain = audio.createGain();
+    gain.gain.value = level;
+    oscillator.connect(gain);
+    gain.connect(output);
+    oscillator.start();
+    return gain;
+  }
+
+  /**
+   * Modulates an audio parameter with a slow sine (added to the parameter's own value).
+   * @param {number} frequency - Modulation rate (Hz)
+   * @param {number} depth - Modulation depth in the parameter's units
+   * @param {AudioParam} target - Parameter to modulate
+   */
+  function modulate(frequency, depth, target) {
+    const lfo = audio.createOscillator();
+    lfo.frequency.value = frequency;
+    const amount = audio.createGain();
+    amount.gain.value = depth;
+    lfo.connect(amount);
+    amount.connect(target);
+    lfo.start();
+  }
+
+  // Zone layers (each builds into its layer gain and may return a one-shot accent)
+
+  /**
+   * Space: detuned low saws under a slowly sweeping lowpass, with a sine fifth above.
+   * @param {AudioNode} output - Layer gain
+   */
+  function buildSpaceDrone(output) {
+    const filter = createFilter('lowpass', 320, 2);
+    filter.connect(output);
+    createTone('sawtooth', 55, 0.18, filter);
+    createTone('sawtooth', 55.3, 0.18, filter);
+    createTone('sine', 82.4, 0.3, filter);
+    modulate(0.05, 140, filter.frequency);
+  }
+
+  /**
+   * Aurora: a high A major chord whose notes swell in and out at different rates.
+   * @param {AudioNode} output - Layer gain
+   */
+  function buildAuroraShimmer(output) {
+    [880, 1108.73, 1318.51, 1760].forEach((frequency, i) => {
+      const tone = createTone('sine', frequency, 0.05, output);
+      modulate(0.11 + i * 0.07, 0.045, tone.gain);
+    });
+  }
+
+  /**
+   * Sky: band-passed noise wandering in pitch and strength, plus chirping bird calls.
+   * @param {AudioNode} output - Layer gain
+   * @returns {Function} Plays one bird call
+   */
+  function buildSkyWind(output) {
+    const gusts = audio.createGain();
+    gusts.gain.value = 0.5;
+    gusts.connect(output);
+    const filter = createFilter('bandpass', 500, 0.8);
+    filter.connect(gusts);
+    createNoise().connect(filter);
+    modulate(0.08, 300, filter.frequency);
+    modulate(0.13, 0.3, gusts.gain);
+
+    return () => {
+      const now = audio.currentTime;
+      const pitch = 2200 + Math.random() * 1600;
+      const notes = 2 + Math.floor(Math.random() * 3);
+      const oscillator = audio.createOscillator();
+      const envelope = audio.createGain();
+      envelope.gain.value = 0;
+      oscillator.connect(envelope);
+      envelope.connect(output);
+      for (let n = 0; n < notes; n++) {
+        const start = now + n * 0.11;
+        oscillator.frequency.setValueAtTime(pitch, start);
+        oscillator.frequency.exponentialRampToValueAtTime(pitch * 1.4, start + 0.07);
+        envelope.gain.setValueAtTime(0, start);
+        envelope.gain.linearRampToValueAtTime(0.12, start + 0.01);
+        envelope.gain.linearRampToValueAtTime(0, start + 0.08);
+      }
+      oscillator.start(now);
+      oscillator.stop(now + notes * 0.11 + 0.05);
+    };
+  }
+
+  /**
+   * Sunset: low-passed noise swelling and receding like waves on the shore.
+   * @param {AudioNode} output - Layer gain
+   */
+  function buildSunsetWaves(output) {
+    const swell = audio.createGain();
+    swell.gain.value = 0.35;
+    swell.connect(output);
+    const filter = createFilter('lowpass', 700, 0.7);
+    filter.connect(swell);
+    createNoise().connect(filter);
+    modulate(0.1, 0.3, swell.gain);
+    modulate(0.1, 250, filter.frequency);
+  }
+
+  /**
+   * Deep sea: a dark, heavily filtered rumble, plus bubbles rising in pitch behind the
+   * same muffling filter.
+   * @param {AudioNode} output - Layer gain
+   * @returns {Function} Plays one bubble
+   */
+  function buildDeepSeaRumble(output) {
+    const muffle = createFilter('lowpass', 900, 0.7);
+    muffle.connect(output);
+    const rumble = createFilter('lowpass', 180, 1);
+    rumble.connect(output);
+    createNoise().connect(rumble);
+    createTone('sine', 40, 0.15, output);
+
+    return () => {
+      const now = audio.currentTime;
+      const pitch = 250 + Math.random() * 350;
+      const oscillator = audio.createOscillator();
+      const envelope = audio.createGain();
+      oscillator.frequency.setValueAtTime(pitch, now);
+      oscillator.frequency.exponentialRampToValueAtTime(pitch * 3, now + 0.12);
+      envelope.gain.setValueAtTime(0.25, now);
+      envelope.gain.exponentialRampToValueAtTime(0.001, now + 0.15);
+      oscillator.connect(envelope);
+      envelope.connect(muffle);
+      oscillator.start(now);
+      oscillator.stop(now + 0.16);
+    };
+  }
+
+  // Mixing
+
+  /**
+   * Crossfades the zone layers to the latest zone weights.
+   */
+  function applyWeights() {
+    const now = audio.currentTime;
+    Object.keys(layers).forEach(name => {
+      const layer = layers[name];
+      layer.gain.gain.setTargetAtTime((weights[name] || 0) * layer.level, now, crossfadeTime);
+    });
+  }
+
+  /**
+   * Rolls for one-shot accents every accentTick seconds, more often the stronger their zone.
+   */
+  function scheduleAccents() {
+    accentTimer = setTimeout(() => {
+      Object.keys(layers).forEach(name => {
+        const layer = layers[name];
+        if (layer.accent && Math.random() < (weights[name] || 0) * layer.accentRate * accentTick) {
+          layer.accent();
+        }
+      });
+      scheduleAccents();
+    }, accentTick * 1000);
+  }
+
+  // Switching on and off
+
+  /**
+   * Fades the soundscape in. Must be called from a user gesture the first time.
+   * @returns {boolean} False if the browser has no WebAudio support
+   */
+  function enable() {
+    if (!AudioContextClass) return false;
+    if (!audio) buildGraph();
+    clearTimeout(suspendTimer);
+    enabled = true;
+    if (window.MunchkinScene) weights = window.MunchkinScene.getZone().weights;
+    if (!MunchkinCore.isPageHidden()) audio.resume();
+    applyWeights();
+    master.gain.setTargetAtTime(masterLevel, audio.currentTime, fadeTime);
+    if (!accentTimer) scheduleAccents();
+    updateToggles();
+    return true;
+  }
+
+  /**
+   * Fades the soundscape out and suspends the audio context once it is silent.
+   */
+  function disable() {
+    if (!enabled) return;
+    enabled = false;
+    master.gain.setTargetAtTime(0, audio.currentTime, fadeTime / 3);
+    clearTimeout(accentTimer);
+    accentTimer = null;
+    suspendTimer = setTimeout(() => audio.suspend(), fadeTime * 2000);
+    updateToggles();
+  }
+
+  /**
+   * Switches the soundscape on or off.
+   * @returns {boolean} True if the soundscape is now on
+   */
+  function toggle() {
+    if (enabled) {
+      disable();
+    } else {
+      enable();
+    }
+    return enabled;
+  }
+
+  /**
+   * Whether the soundscape is switched on.
+   * @returns {boolean} True while playing (or paused in a background tab)
+   */
+  function isEnabled() {
+    return enabled;
+  }
+
+  /**
+   * Reflects the on/off state on the navigation toggles.
+   */
+  function updateToggles() {
+    document.querySelectorAll('.sound-toggle').forEach(button => {
+      button.setAttribute('aria-pressed', String(enabled));
+      button.textContent = enabled ? 'sound on' : 'sound off';
+    });
+  }
+
+  // Navigation toggles (hidden where WebAudio is unavailable)
+  document.querySelectorAll('.sound-toggle').forEach(button => {
+    if (!AudioContextClass) {
+      button.hidden = true;
+      return;
+    }
+    button.addEventListener('click', toggle);
+  });
+
+  // Follow the scene's zone weights
+  document.addEventListener('zoneprogress', event => {
+    weights = event.detail.weights;
+    if (enabled) applyWeights();
+  });
+
+  // Fall silent in background tabs. Accents stop rolling too: one-shots started on a suspended
+  // context would all play at once on resume
+  MunchkinCore.onPageVisibilityChange(hidden => {
+    if (!enabled) return;
+    if (hidden) {
+      clearTimeout(accentTimer);
+      accentTimer = null;
+      audio.suspend();
+    } else {
+      audio.resume();
+      if (!accentTimer) scheduleAccents();
+    }
+  });
+
+  return {
+    enable,
+    disable,
+    toggle,
+    isEnabled
+  };
+})();